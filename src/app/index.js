@@ -1,4 +1,7 @@
 export * from './jwt'
+export * from './local'
 export * from './migrator'
 export * from './pubsub'
-export * from './worker'
\ No newline at end of file
+export * from './scheduler'
+export * from './worker'
+export * from './workflow'
\ No newline at end of file
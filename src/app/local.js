@@ -0,0 +1,260 @@
+import { QueueError }         from '../errors';
+import { randomId, unixNow }  from '../util';
+
+// The Worker needs a live SNS (or SQS) client to publish jobs and a Step Functions
+// client to delay them. The LocalQueue stands in for all of them, keeping the jobs
+// in memory with a controllable clock, so job flows (retries, delays,
+// cancel/status, the morgue) can be exercised without AWS:
+//
+//   const queue = new LocalQueue();
+//   const worker = new Worker({ ...queue.clients() });
+//
+//   await worker.enqueue('sendEmail', data, context);
+//   await queue.drain(worker.dequeue(context));
+export class LocalQueue {
+
+  constructor({ now, maxReceiveCount=3 } = {}) {
+    // the clock, in seconds
+    this.now = (now !== undefined) ? now : Math.floor(unixNow() / 1000);
+
+    // fake arns so the worker can extract ids like it would in aws
+    this.topicArn = 'arn:aws:sns:local:000000000000:worker';
+    this.queueArn = 'arn:aws:states:local:000000000000:stateMachine:worker';
+    this.queueUrl = 'https://sqs.local.amazonaws.com/000000000000/worker.fifo';
+
+    // the records published for immediate delivery
+    this.messages = [];
+
+    // the sqs deduplication ids seen recently, with their expiration
+    this.dedupeIds = {};
+
+    // sqs records that failed too many times, like a redrive policy would
+    this.maxReceiveCount = maxReceiveCount;
+    this.deadLetters = [];
+
+    // the executions started for delayed delivery, by id
+    this.executions = {};
+
+    // keep the executions in the order they were started
+    this.sequence = 0;
+  }
+
+  // the options to spread into the Worker constructor
+  clients() {
+    return {
+      topicArn : this.topicArn,
+      queueArn : this.queueArn,
+      queueUrl : this.queueUrl,
+      snsClient: this,
+      sfsClient: this,
+      sqsClient: this
+    };
+  }
+
+  // move the clock forward
+  advance(seconds) {
+    this.now += seconds;
+  }
+
+  // the number of jobs that have yet to run, delayed or not
+  size() {
+    return this.messages.length + this.#running().length;
+  }
+
+  // Run the jobs that are ready, in order, until there are none left.
+  // Jobs enqueued along the way (retries, follow-ups) are run as well.
+  //
+  // opts:
+  //  all: advance the clock to run the delayed jobs too
+  //  maxJobs: guard against a job that enqueues itself forever
+  async drain(handler, { all=false, maxJobs=10000 } = {}) {
+    let count = 0;
+
+    while (true) {
+      let next = this.#next();
+
+      // jump ahead to the next delayed job if requested
+      if (!next && all) {
+        const [ execution ] = this.#running();
+
+        if (execution) {
+          this.now = Math.max(this.now, execution.runAt);
+          next = this.#next();
+        }
+      }
+
+      // nothing left to do
+      if (!next) {
+        return count;
+      }
+
+      count += 1;
+
+      if (count > maxJobs) {
+        throw new QueueError(`Drain exceeded ${maxJobs} jobs`);
+      }
+
+      await next(handler);
+    }
+  }
+
+  // SNS: publish a message for immediate delivery
+  publish({ Message }) {
+    return request(() => {
+      const id = randomId();
+
+      this.messages.push({ Sns: { MessageId: id, Message } });
+
+      return { MessageId: id };
+    });
+  }
+
+  // SQS: send a message for immediate, deduplicated delivery
+  sendMessage({ MessageBody, MessageGroupId, MessageDeduplicationId }) {
+    return request(() => {
+      const id = randomId();
+
+      // sqs drops messages with a dedupe id seen within the last 5 minutes
+      if (MessageDeduplicationId) {
+        const expiresAt = this.dedupeIds[MessageDeduplicationId];
+
+        if (expiresAt !== undefined && expiresAt > this.now) {
+          return { MessageId: id };
+        }
+
+        this.dedupeIds[MessageDeduplicationId] = this.now + 300;
+      }
+
+      this.messages.push({
+        messageId  : id,
+        body       : MessageBody,
+        attributes : { ApproximateReceiveCount: '1', MessageGroupId, MessageDeduplicationId },
+        eventSource: 'aws:sqs'
+      });
+
+      return { MessageId: id };
+    });
+  }
+
+  // Step Functions: start a wait state execution
+  startExecution({ input }) {
+    return request(() => {
+      const { delay, job } = JSON.parse(input);
+      const id = randomId();
+
+      this.executions[id] = {
+        id,
+        job,
+        input,
+        runAt   : this.now + delay,
+        sequence: this.sequence++,
+        status  : 'RUNNING',
+        startDate: new Date(this.now * 1000)
+      };
+
+      return { executionArn: `${this.#executionArn()}:${id}` };
+    });
+  }
+
+  // Step Functions: abort a wait state execution
+  stopExecution({ executionArn }) {
+    return request(() => {
+      const execution = this.#execution(executionArn);
+
+      // only running executions can be stopped
+      if (execution.status === 'RUNNING') {
+        execution.status = 'ABORTED';
+        execution.stopDate = new Date(this.now * 1000);
+      }
+
+      return { stopDate: execution.stopDate };
+    });
+  }
+
+  // Step Functions: describe a wait state execution
+  describeExecution({ executionArn }) {
+    return request(() => {
+      const { input, status, startDate, stopDate } = this.#execution(executionArn);
+
+      return { executionArn, stateMachineArn: this.queueArn, input, status, startDate, stopDate };
+    });
+  }
+
+  // find the next job that is ready to run, and return a fn to run it
+  #next() {
+    // messages are delivered immediately, in order
+    if (this.messages.length > 0) {
+      const record = this.messages.shift();
+
+      return async handler => {
+        const result = await handler({ Records: [ record ] });
+
+        // sqs redelivers the records reported as failed
+        if (record.eventSource === 'aws:sqs' && result && result.batchItemFailures.length > 0) {
+          this.#redeliver(record);
+        }
+      };
+    }
+
+    // then the delayed jobs whose time has come
+    const [ execution ] = this.#running().filter(e => e.runAt <= this.now);
+
+    if (!execution) {
+      return;
+    }
+
+    return async handler => {
+      try {
+        await handler({ job: execution.job });
+        execution.status = 'SUCCEEDED';
+      } catch (error) {
+        execution.status = 'FAILED';
+      }
+
+      execution.stopDate = new Date(this.now * 1000);
+    };
+  }
+
+  // put a failed sqs record back on the queue, or in the dead letters
+  #redeliver(record) {
+    const receiveCount = Number(record.attributes.ApproximateReceiveCount) + 1;
+
+    if (receiveCount > this.maxReceiveCount) {
+      this.deadLetters.push(record);
+      return;
+    }
+
+    this.messages.push({
+      ...record,
+      attributes: { ...record.attributes, ApproximateReceiveCount: `${receiveCount}` }
+    });
+  }
+
+  // the running executions, in the order they're due
+  #running() {
+    return Object.values(this.executions)
+      .filter(e => e.status === 'RUNNING')
+      .sort((a, b) => (a.runAt - b.runAt) || (a.sequence - b.sequence));
+  }
+
+  #execution(executionArn) {
+    const execution = this.executions[executionArn.split(':').pop()];
+
+    if (!execution) {
+      throw new QueueError(`Execution does not exist: ${executionArn}`);
+    }
+
+    return execution;
+  }
+
+  #executionArn() {
+    return this.queueArn.replace('stateMachine', 'execution');
+  }
+}
+
+//######### Helpers ##########
+
+// emulate the aws-sdk request interface: client.op(params).promise()
+const request = fn => ({
+  promise: async () => fn()
+});
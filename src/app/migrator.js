@@ -1,9 +1,10 @@
-import _differenceWith from 'lodash.differencewith';
-import { unixNow }     from '../util';
+import _differenceWith        from 'lodash.differencewith';
+import { unixNow }             from '../util';
+import { logger as _logger }   from '../logger';
 
 export const migrate = async function(data, context) {
   // extract the context
-  const { migrations, dynamo } = context;
+  const { migrations, dynamo, logger=_logger } = context;
   
   // data is a placeholder for the time being. At some point if we need
   // to provide configuration or customization it could be provided
@@ -15,33 +16,35 @@ export const migrate = async function(data, context) {
   const pendingMigrations = _differenceWith(migrations, previousMigrations, (migration, prevMigration) => migration.name === prevMigration.name);
   
   if (pendingMigrations.length === 0) {
-    console.log("No pending migrations to run - database up-to-date");
+    logger.info('No pending migrations to run - database up-to-date');
     return;
   }
   
   for (let { name, description, run } of pendingMigrations) {
     // report
-    console.log(`Starting migration: ${description}`);
+    logger.info('Migration started', { migration: name, description });
+    
+    const start = unixNow();
     
     // run
     try {
       await run(context);
     } catch (error) {
       // show something meaningful in the logs
-      console.error('Migration failed :(')
-      console.error(`  Description : ${description}`)
-      console.error(`  ${error.stack}`)
+      logger.error('Migration failed', { migration: name, description, duration: unixNow() - start, error });
       
       // don't continue
       return;
     }
     
+    logger.info('Migration complete', { migration: name, duration: unixNow() - start });
+    
     // persist migration to the database
     await createMigration(name, dynamo);
   }
     
   // report
-  return console.log("All migrations complete - database up-to-date");
+  return logger.info('All migrations complete - database up-to-date');
 };
   
 var allMigrations = dynamo => dynamo.query("root#migrations", 'name-');
@@ -0,0 +1,355 @@
+import isEmpty            from 'lodash.isempty';
+import { ConditionError,
+         QueueError }     from '../errors';
+import { unixNow }        from '../util';
+
+// The scheduler enqueues recurring jobs on the worker. Schedules are declared
+// against the topics in the workers map, with either a cron expression
+// (minute hour day-of-month month day-of-week, in UTC) or a rate:
+//
+//   const scheduler = new Scheduler({ worker, schedules: [
+//     { name: 'digest', topic: 'sendDigest', cron: '0 8 * * 1-5' },
+//     { name: 'sync', topic: 'syncAccounts', rate: '5 minutes', data: { full: false } }
+//   ]});
+//
+// An EventBridge rule invokes scheduler.tick(context) every minute, which
+// works out the schedules that are due and enqueues them. The last run of
+// each schedule, and whether it's paused, is kept in the database.
+export class Scheduler {
+
+  constructor({ worker, schedules=[] }) {
+    this.worker = worker;
+
+    // the schedules by name
+    this.schedules = {};
+
+    // validate the schedules and parse the timing
+    for (const schedule of schedules) {
+      const { name, topic, cron, rate, data, opts={}, ...extra } = schedule;
+
+      // first, there shouldn't be any extra config here
+      if (!isEmpty(extra))
+        throw new QueueError(`Unknown schedule config: ${JSON.stringify(extra)}`);
+
+      // name is required
+      if (name === undefined)
+        throw new QueueError(`Missing required schedule config 'name'`);
+
+      // topic is required
+      if (topic === undefined)
+        throw new QueueError(`Missing required schedule config 'topic'`);
+
+      // exactly one of cron or rate is required
+      if ((cron === undefined) === (rate === undefined))
+        throw new QueueError(`Schedule '${name}' requires one of 'cron' or 'rate'`);
+
+      // names need to be unique
+      if (this.schedules[name] !== undefined)
+        throw new QueueError(`Duplicate schedule name '${name}'`);
+
+      this.schedules[name] = {
+        name,
+        topic,
+        cron,
+        rate,
+        data,
+        opts,
+        fields: (cron !== undefined) ? parseCron(cron) : undefined,
+        interval: (rate !== undefined) ? parseRate(rate) : undefined
+      };
+    }
+  }
+
+  // Returns a handler for the EventBridge event
+  tick(context) {
+    return event => {
+      // use the time of the event, in case it was delivered late
+      const now = (event && event.time) ? new Date(event.time).getTime() : unixNow();
+
+      return this.run(context, now);
+    };
+  }
+
+  // Enqueue the schedules that are due, returning their names
+  async run(context, now=unixNow()) {
+    // fetch the state of all the schedules
+    const states = await allStates(context);
+
+    const enqueued = [];
+
+    for (const name in this.schedules) {
+      const schedule = this.schedules[name];
+      const state = states[name] || {};
+
+      // nothing to do while paused
+      if (state.paused) {
+        continue;
+      }
+
+      // find the occurrence that's due, if any
+      const occurrence = dueOccurrence(schedule, state.lastRunAt, now);
+
+      if (occurrence === undefined) {
+        continue;
+      }
+
+      // claim the occurrence, so concurrent ticks only enqueue it once
+      if (!(await claimOccurrence(name, state.lastRunAt, occurrence, context))) {
+        continue;
+      }
+
+      // enqueue the job
+      const { topic, data, opts } = schedule;
+
+      await this.worker.enqueue(topic, data, context, opts);
+
+      enqueued.push(name);
+    }
+
+    return enqueued;
+  }
+
+  // List the schedules along with their state
+  async list(context) {
+    const states = await allStates(context);
+
+    return Object.values(this.schedules).map(({ name, topic, cron, rate, data }) => {
+      const { paused=false, lastRunAt } = states[name] || {};
+
+      return { name, topic, cron, rate, data, paused, lastRunAt };
+    });
+  }
+
+  // Stop a schedule from being enqueued until it's resumed
+  async pause(name, context) {
+    return setPaused(this.#schedule(name), true, context);
+  }
+
+  // Resume a paused schedule
+  async resume(name, context) {
+    return setPaused(this.#schedule(name), false, context);
+  }
+
+  #schedule(name) {
+    const schedule = this.schedules[name];
+
+    if (!schedule)
+      throw new QueueError(`Unknown schedule '${name}'`);
+
+    return schedule;
+  }
+}
+
+//######### State ##########
+
+const SCHEDULES_PK = 'root#schedules';
+
+const stateKey = name => ({ pk: SCHEDULES_PK, sk: `schedule-${name}` });
+
+// fetch the state of every schedule, by name
+async function allStates({ db }) {
+  const states = {};
+
+  let cursor;
+
+  do {
+    const page = await db.query(SCHEDULES_PK, 'schedule-', { cursor });
+
+    for (const item of page.items) {
+      states[item.name] = item;
+    }
+
+    cursor = page.cursor;
+  } while (cursor);
+
+  return states;
+};
+
+// returns true if this tick gets to enqueue the occurrence
+async function claimOccurrence(name, lastRunAt, occurrence, { db }) {
+  // the last run must not have moved, and the schedule must not have been paused
+  const condition = (lastRunAt === undefined)
+    ? 'attribute_not_exists(#lastRunAt)'
+    : '#lastRunAt = :lastRunAt';
+
+  const values = {
+    ':name': name,
+    ':occurrence': occurrence,
+    ':false': false
+  };
+
+  if (lastRunAt !== undefined) {
+    values[':lastRunAt'] = lastRunAt;
+  }
+
+  try {
+    await db.update({
+      Key: stateKey(name),
+      UpdateExpression: 'set #name = :name, #lastRunAt = :occurrence',
+      ConditionExpression: `${condition} and (attribute_not_exists(#paused) or #paused = :false)`,
+      ExpressionAttributeNames: {
+        '#name': 'name',
+        '#lastRunAt': 'lastRunAt',
+        '#paused': 'paused'
+      },
+      ExpressionAttributeValues: values
+    });
+  } catch (error) {
+    // another tick beat us to it
+    if (error instanceof ConditionError) {
+      return false;
+    }
+
+    throw error;
+  }
+
+  return true;
+};
+
+function setPaused({ name }, paused, { db }) {
+  return db.update({
+    Key: stateKey(name),
+    UpdateExpression: 'set #name = :name, #paused = :paused',
+    ExpressionAttributeNames: {
+      '#name': 'name',
+      '#paused': 'paused'
+    },
+    ExpressionAttributeValues: {
+      ':name': name,
+      ':paused': paused
+    }
+  });
+};
+
+//######### Timing ##########
+
+const MINUTE = 60 * 1000;
+
+// how far back to look for a missed cron occurrence
+const LOOKBACK = 60 * MINUTE;
+
+// Find the time of the occurrence that's due, or undefined if nothing
+// is due. Times are aligned to the minute since that's how often we tick.
+function dueOccurrence({ fields, interval }, lastRunAt, now) {
+  const minute = Math.floor(now / MINUTE) * MINUTE;
+
+  // rates are due when the interval has passed since the last run
+  if (interval !== undefined) {
+    if (lastRunAt === undefined || (minute - lastRunAt) >= interval) {
+      return minute;
+    }
+
+    return;
+  }
+
+  // crons are due when they matched a minute since the last run. If it
+  // never ran, only the current minute counts
+  const since = (lastRunAt === undefined)
+    ? minute - MINUTE
+    : Math.max(lastRunAt, minute - LOOKBACK);
+
+  for (let time = minute; time > since; time -= MINUTE) {
+    if (matchesCron(fields, new Date(time))) {
+      return time;
+    }
+  }
+};
+
+// the ranges of each cron field, and the names allowed in them
+const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+];
+
+// Parse a cron expression into the allowed values for each field
+function parseCron(expression) {
+  // '?' is only a placeholder for any value
+  const parts = expression.trim().split(/\s+/).map(part => (part === '?') ? '*' : part);
+
+  if (parts.length !== CRON_FIELDS.length)
+    throw new QueueError(`Invalid cron expression '${expression}'`);
+
+  const fields = parts.map((part, index) => {
+    const { min, max, names, offset } = CRON_FIELDS[index];
+
+    // swap out any names for their values
+    const toValue = function(token) {
+      const named = names ? names.indexOf(token.toLowerCase()) : -1;
+      const value = (named >= 0) ? named + offset : Number(token);
+
+      if (!Number.isInteger(value) || value < min || value > max)
+        throw new QueueError(`Invalid cron expression '${expression}'`);
+
+      return value;
+    };
+
+    const values = new Set();
+
+    for (const item of part.split(',')) {
+      const [ range, step='1' ] = item.split('/');
+      const increment = Number(step);
+
+      if (!Number.isInteger(increment) || increment < 1)
+        throw new QueueError(`Invalid cron expression '${expression}'`);
+
+      // find the bounds of the range
+      let start = min;
+      let end = max;
+
+      if (range !== '*') {
+        const [ from, to ] = range.split('-');
+        start = toValue(from);
+        end = (to !== undefined) ? toValue(to) : ((item.includes('/')) ? max : start);
+      }
+
+      for (let value = start; value <= end; value += increment) {
+        values.add(value);
+      }
+    }
+
+    return values;
+  });
+
+  const [ minutes, hours, days, months, weekdays ] = fields;
+
+  // sunday can be 0 or 7
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  // standard cron matches either day field when both are restricted
+  const restrictDays = (parts[2] !== '*') && (parts[4] !== '*');
+
+  return { minutes, hours, days, months, weekdays, restrictDays };
+};
+
+function matchesCron({ minutes, hours, days, months, weekdays, restrictDays }, date) {
+  if (!minutes.has(date.getUTCMinutes()) || !hours.has(date.getUTCHours()) || !months.has(date.getUTCMonth() + 1)) {
+    return false;
+  }
+
+  const day = days.has(date.getUTCDate());
+  const weekday = weekdays.has(date.getUTCDay());
+
+  return restrictDays ? (day || weekday) : (day && weekday);
+};
+
+// the units a rate can be expressed in
+const RATE_UNITS = {
+  minute: MINUTE,
+  hour: 60 * MINUTE,
+  day: 24 * 60 * MINUTE
+};
+
+// Parse a rate like '5 minutes' or 'rate(1 hour)' into milliseconds
+function parseRate(rate) {
+  const match = `${rate}`.trim().match(/^(?:rate\()?(\d+)\s+(minute|hour|day)s?\)?$/);
+
+  if (!match || Number(match[1]) < 1)
+    throw new QueueError(`Invalid rate '${rate}'`);
+
+  return Number(match[1]) * RATE_UNITS[match[2]];
+};
@@ -1,16 +1,62 @@
-import _uniq          from 'lodash.uniq';
-import { QueueError } from '../errors';
+import _uniq                  from 'lodash.uniq';
+import { EventEmitter }       from 'events';
+import { QueueError,
+         TimeoutError,
+         ConditionError }     from '../errors';
+import { randomId, unixNow }  from '../util';
+import { logger as _logger }  from '../logger';
+import { where }              from '../service/expression';
+import { Workflow }           from './workflow';
 
 //######### Worker ##########
 
 export class Worker {
   
-  constructor({ topicArn, queueArn, snsClient, sfsClient }) {
+  // Jobs are logged through the logger (see JsonLogger), and the hooks can
+  // observe their lifecycle for metrics, traces, etc. Every hook is called
+  // with (job, details, context):
+  // 
+  //  onStart: before the handler runs
+  //  onSuccess: after the handler succeeds, details: { result, duration }
+  //  onFailure: after the handler fails, details: { error, duration }
+  //  onRetry: when the job is re-enqueued, details: { delay }
+  //  onDead: when the job is sent to the morgue, details: { corpseId }
+  constructor({ topicArn, queueArn, queueUrl, snsClient, sfsClient, sqsClient, transport='sns', timeouts={}, idempotencyTtl=86400, retryStrategies={}, logger=_logger, hooks={} }) {
     this.topicArn = topicArn;
     this.queueArn = queueArn;
+    this.queueUrl = queueUrl;
     this.snsClient = snsClient;
     this.sfsClient = sfsClient;
+    this.sqsClient = sqsClient;
+    this.transport = transport;
+    this.timeouts = timeouts;
+    this.idempotencyTtl = idempotencyTtl;
+    this.logger = logger;
+    this.hooks = hooks;
     this.cancelArn = this.queueArn.replace('stateMachine', 'execution');
+    
+    // the workflows, by name
+    this.workflows = {};
+    
+    // start with the built-in strategies, allowing them to be overridden
+    this.retryStrategies = { ...RETRY_STRATEGIES, ...retryStrategies };
+  }
+  
+  // Register a workflow of jobs on this worker, see Workflow
+  workflow(config) {
+    const workflow = new Workflow({ worker: this, ...config });
+    
+    this.workflows[workflow.name] = workflow;
+    
+    return workflow;
+  }
+  
+  // Register a named retry strategy. The strategy can either be a function
+  // of (attempts, opts) that returns the delay in seconds (0 to give up),
+  // or an object of the form { name, ...opts } that configures an existing
+  // strategy, ie: { name: 'exponential', base: 5, cap: 3600 }
+  registerRetryStrategy(name, strategy) {
+    this.retryStrategies[name] = strategy;
   }
     
   async enqueue(topic, data, context, opts={}) {
@@ -19,9 +65,11 @@ export class Worker {
     const { isWorker } = context;
     
     // extract the opts
-    let { attempts, delay, errors, retry, retryStrategy } = opts;
+    let { id, attempts, delay, errors, retry, retryStrategy, transport, groupId, dedupeId, timeout, idempotencyKey, workflow } = opts;
     
     // set some sensible defaults
+    if (!id) { id = randomId(); }
+    if (!transport) { transport = groupId ? 'sqs' : this.transport; }
     if (!attempts) { attempts = 0; }
     if (!delay) { delay = 0; }
     if (!retry) { retry = false; }
@@ -30,21 +78,25 @@ export class Worker {
     
     // if this is a retry but retry if false, send straight to the morgue
     if ((attempts > 0) && !retry) {
-      return addCorpse({ topic, data, attempts, errors, retry }, context);
+      return this.bury({ id, topic, data, attempts, errors, retry, retryStrategy, transport, groupId, timeout, idempotencyKey, workflow }, context);
     }
 
     // assemble the job
-    let job = { topic, data, attempts, errors, retry, retryStrategy };
+    let job = { id, topic, data, attempts, errors, retry, retryStrategy, delay, transport, groupId, dedupeId, timeout, idempotencyKey, workflow };
     
-    // if we're already in the worker context and no delay is set, run it now
-    if (isWorker && !delay) {
+    // if we're already in the worker context and no delay is set, run it now.
+    // sqs jobs always go through the queue, which is what orders and dedupes them
+    if (isWorker && !delay && transport !== 'sqs') {
       return this.work(job, context);
     }
     
     // serialize the job for submission
     job = JSON.stringify(job);
     
-    // otherwise, do we have a delay? If so let's drop it in a wait state function
+    // otherwise, do we have a delay? If so let's drop it in a wait state function.
+    // 
+    // note: the wait state delivers the job directly to the worker, so delayed
+    // sqs jobs (including retries) are not ordered or deduped by the queue
     if (delay && (delay > 0)) {
       msg = { delay, job };
         
@@ -62,6 +114,11 @@ export class Worker {
       return executionArn.split(':').pop();
     }
     
+    // are we sending this to an sqs queue?
+    if (transport === 'sqs') {
+      return this.send(job, { topic, groupId, dedupeId });
+    }
+    
     // no delay is set so let's drop this in sns straight away
     msg = {
       Message : job,
@@ -77,18 +134,95 @@ export class Worker {
     return messageId;
   }
 
+  // send a serialized job to the sqs queue
+  async send(job, { topic, groupId, dedupeId }) {
+    // fifo queues require a group, so default to a group per topic
+    if (!groupId && this.queueUrl.endsWith('.fifo')) {
+      groupId = topic;
+    }
+    
+    const params = {
+      QueueUrl   : this.queueUrl,
+      MessageBody: job
+    };
+    
+    // jobs in the same group are delivered in order
+    if (groupId) {
+      params.MessageGroupId = groupId;
+    }
+    
+    // jobs with the same dedupe id are only delivered once (within 5 minutes)
+    if (dedupeId) {
+      params.MessageDeduplicationId = dedupeId;
+    }
+    
+    // send the message and extract the message id
+    const { MessageId: messageId } = await this.sqsClient.sendMessage(params).promise().catch(function(error) {
+      throw new QueueError(error.message);
+    });
+    
+    // return the message ID
+    return messageId;
+  }
+
+  // Returns a handler for the lambda event. When triggered with records, the
+  // handler reports the records that failed in the partial batch response
+  // format, ie: { batchItemFailures: [{ itemIdentifier }] }, so the event
+  // source only redelivers those records.
   dequeue(context) {
-    return event => {
+    return async (event, lambdaContext) => {
+      // jobs can't run longer than the lambda has left
+      const deadline = (lambdaContext && lambdaContext.getRemainingTimeInMillis)
+        ? Date.now() + lambdaContext.getRemainingTimeInMillis()
+        : undefined;
+      
       // was this worker triggered directly with a single job?
       if (event.job != null) {
-        return this.work(JSON.parse(event.job), context);
+        return this.work(JSON.parse(event.job), context, { deadline });
       }
       
-      // or triggered with one or more sns records
-      return Promise.allSettled(event.Records.map(record => {
-        return this.work(JSON.parse(record.Sns.Message), context);
-      })
-      );
+      // or triggered with one or more sns or sqs records
+      const { Records: records } = event;
+      
+      // records in the same fifo group must be worked in order, one
+      // at a time, while everything else can be worked concurrently
+      const groups = {};
+      
+      const results = records.map(record => {
+        // a job that fails without being re-enqueued needs redelivery
+        const work = async () => {
+          if (!(await this.work(parseRecord(record), context, { deadline }))) {
+            throw new QueueError(`Job failed: ${recordIdentifier(record)}`);
+          }
+        };
+        
+        const groupId = messageGroupId(record);
+        
+        // no group, no ordering
+        if (!groupId) {
+          return work();
+        }
+        
+        // chain onto the previous record in this group. If that failed, this one
+        // must fail too so that the group is redelivered in order
+        const previous = groups[groupId] || Promise.resolve();
+        
+        return groups[groupId] = previous.then(work);
+      });
+      
+      // wait for everything to settle
+      const settled = await Promise.allSettled(results);
+      
+      // report the records that failed
+      const batchItemFailures = [];
+      
+      settled.forEach(({ status }, index) => {
+        if (status === 'rejected') {
+          batchItemFailures.push({ itemIdentifier: recordIdentifier(records[index]) });
+        }
+      });
+      
+      return { batchItemFailures };
     };
   }
   
@@ -104,50 +238,176 @@ export class Worker {
     });
   }
       
-  async work(job, context) {
+  // Work a job. Returns true if the job succeeded, or failed and was handed
+  // off to be retried, and false if the failure still needs to be handled.
+  // 
+  // The handler is aborted after the job's timeout (in seconds), falling back
+  // to the topic's timeout, and then the time left before the deadline. The
+  // handler can listen for the abort on the signal provided in the context.
+  async work(job, context, { deadline } = {}) {
     // extract the workers from the context
     const { workers } = context;
     
-    // print something useful to the log
-    console.log('Job:')
-    console.log(`  Topic : ${job.topic}`)
-    console.log(`  Data  : ${JSON.stringify(job.data)}`)
+    // every log entry for this job carries the job details
+    const logger = this.logger.child(jobFields(job));
     
     // find the worker for this job
     const handler = workers[job.topic];
     
-    // fire the handler, if one exists
-    if (handler) {
-      try {
-        await handler(job.data, context);
-      } catch (error) {
-        // show something meaningful in the logs
-        console.error('Job failed :(')
-        console.error(`  Topic  : ${job.topic}`)
-        console.error(`  Data   : ${JSON.stringify(job.data)}`)
-        console.error(`  Retry  : ${job.retry ? 'yes' : 'no'}`)
-        console.error(`  ${error.stack}`)
+    // nothing to do without a handler
+    if (!handler) {
+      logger.warn('Job has no handler');
+      return true;
+    }
+    
+    const timeout = this.timeout(job, deadline);
+    
+    // jobs with an idempotency key need to claim it before running, so a
+    // duplicate delivery of a running or completed job is skipped
+    if (job.idempotencyKey && !(await claimJob(job, timeout, this.idempotencyTtl, context))) {
+      logger.info('Job skipped as a duplicate', { idempotencyKey: job.idempotencyKey });
+      
+      // a previous delivery might have run the job, but failed to move the
+      // workflow along, so only that part is run again
+      if (job.workflow) {
+        const previous = await this.jobResult(job.idempotencyKey, context);
         
-        // re-enqueue and try again
-        if (job.retry) {
-          try {
-            await this.retry(job, error.stack, context);
-          } catch (error1) {
-            error = error1;
-            console.error('Failed to re-enqueue :(')
-            console.error(`  Topic  : ${job.topic}`)
-            console.error(`  Data   : ${JSON.stringify(job.data)}`)
-            console.error(`  ${error.stack}`)
-          }
+        if (previous && previous.status === 'completed') {
+          return this.#advance(job, previous.result, context, logger);
+        }
+      }
+      
+      return true;
+    }
+    
+    logger.info('Job started', { data: job.data });
+    await this.#hook('onStart', job, {}, context);
+    
+    const start = unixNow();
+    let result;
+    
+    try {
+      result = await runWithTimeout(handler, job.data, context, timeout);
+    } catch (error) {
+      const duration = unixNow() - start;
+      
+      // unless this is re-enqueued, the failure is unhandled
+      let handled = false;
+      
+      // release the claim so the job can run again
+      if (job.idempotencyKey) {
+        await releaseJob(job, context).catch(function(error1) {
+          logger.warn('Failed to release idempotency key', { error: error1 });
+        });
+      }
+      
+      // show something meaningful in the logs
+      logger.error('Job failed', { data: job.data, retry: !!job.retry, duration, error });
+      await this.#hook('onFailure', job, { error, duration }, context);
+      
+      // re-enqueue and try again
+      if (job.retry) {
+        try {
+          await this.retry(job, error.stack, context);
+          handled = true;
+        } catch (error1) {
+          logger.error('Failed to re-enqueue', { data: job.data, error: error1 });
+        }
+      }
+      
+      // the workflow would wait on the job forever, so it goes straight to
+      // the morgue, which fails the run
+      if (!job.retry && job.workflow) {
+        try {
+          await this.bury({ ...job, attempts: (job.attempts || 0) + 1, errors: [ ...(job.errors || []), error.stack ] }, context);
+          handled = true;
+        } catch (error1) {
+          logger.error('Failed to send to the morgue', { data: job.data, error: error1 });
         }
       }
+      
+      return handled;
+    }
+    
+    // save the result for any duplicates
+    if (job.idempotencyKey) {
+      await completeJob(job, result, this.idempotencyTtl, context);
+    }
+    
+    const duration = unixNow() - start;
+    
+    logger.info('Job succeeded', { duration });
+    await this.#hook('onSuccess', job, { result, duration }, context);
+    
+    // move the workflow along
+    if (job.workflow) {
+      return this.#advance(job, result, context, logger);
     }
     
-    // return true since we already handled any errors or failures
+    // return true since the job succeeded
     return true;
   }
+  
+  // Move the workflow along after a job in it succeeded. If that fails, the
+  // job is delivered again, and since it's completed, only the advance runs
+  async #advance(job, result, context, logger) {
+    try {
+      await this.#workflow(job).advance(job, result, context);
+      return true;
+    } catch (error) {
+      logger.error('Failed to advance workflow', { workflow: job.workflow, error });
+      
+      if (!job.retry) {
+        return false;
+      }
+      
+      try {
+        await this.retry(job, error.stack, context);
+        return true;
+      } catch (error1) {
+        logger.error('Failed to re-enqueue', { data: job.data, error: error1 });
+        return false;
+      }
+    }
+  }
+  
+  // fetch the state of an idempotent job, ie: { status, result }
+  async jobResult(idempotencyKey, { db }) {
+    const item = await db.get(claimKey(idempotencyKey));
+    
+    if (!item) {
+      return item;
+    }
+    
+    const { status, result, completedAt } = item;
+    
+    return { status, result, completedAt };
+  }
 
-  retry({ topic, data, attempts, errors, retry, retryStrategy }, err, context) {
+  // the time in milliseconds a job can run for, if limited
+  timeout({ topic, timeout }, deadline) {
+    // the configured timeout
+    if (!timeout) {
+      timeout = this.timeouts[topic];
+    }
+    
+    // convert to milliseconds
+    if (timeout) {
+      timeout *= 1000;
+    }
+    
+    // without a deadline, the configured timeout is all we have
+    if (!deadline) {
+      return timeout;
+    }
+    
+    // leave enough time before the deadline to handle a timeout
+    const remaining = (deadline - Date.now()) - TIMEOUT_BUFFER;
+    
+    return Math.max(0, timeout ? Math.min(timeout, remaining) : remaining);
+  }
+
+  async retry({ topic, data, attempts, errors, retry, retryStrategy, delay: previous, ...opts }, err, context) {
     // set attempts to 0 if not set
     if (!attempts) {
       attempts = 0;
@@ -168,45 +428,249 @@ export class Worker {
     errors = _uniq(errors);
     
     // set the delay
-    const delay = delayDuration(attempts, retryStrategy);
+    const delay = delayDuration(attempts, retryStrategy, this.retryStrategies, previous);
     
     // if the delay is 0, we've hit our max attempts for this strategy
     if (delay === 0) {
-      return addCorpse({ topic, data, attempts, errors }, context);
+      const { id, transport, groupId, timeout, idempotencyKey, workflow } = opts;
+      return this.bury({ id, topic, data, attempts, errors, retry, retryStrategy, transport, groupId, timeout, idempotencyKey, workflow }, context);
     }
     
+    // let the world know
+    const job = { ...opts, topic, data, attempts, errors, retry, retryStrategy, delay };
+    
+    this.logger.info('Job retrying', { ...jobFields(job), delay });
+    await this.#hook('onRetry', job, { delay }, context);
+    
     // enqueue
-    return this.enqueue(topic, data, context, { attempts, delay, errors, retry, retryStrategy });
+    return this.enqueue(topic, data, context, { ...opts, attempts, delay, errors, retry, retryStrategy });
+  }
+  
+  // send a job that has run out of attempts to the morgue
+  async bury(job, context) {
+    this.logger.error('Job sent to the morgue', { ...jobFields(job), data: job.data });
+    
+    const id = await addCorpse(job, context);
+    
+    await this.#hook('onDead', job, { corpseId: id }, context);
+    
+    // the workflow can't finish without the job
+    if (job.workflow) {
+      await this.#workflow(job).fail(job, context);
+    }
+    
+    return id;
+  }
+  
+  // list the jobs in the morgue, most recent first
+  listCorpses(opts, context) {
+    return allCorpses(opts, context);
+  }
+  
+  // fetch a single job from the morgue
+  getCorpse(id, context) {
+    return getCorpse(id, context);
+  }
+  
+  // permanently remove a job from the morgue
+  removeCorpse(id, context) {
+    return removeCorpse(id, context);
+  }
+  
+  // run a lifecycle hook, if one is registered. Hooks are for observing
+  // jobs (metrics, traces, etc) so they can't fail the job
+  async #hook(name, job, details, context) {
+    const hook = this.hooks[name];
+    
+    if (!hook) {
+      return;
+    }
+    
+    try {
+      await hook(job, details, context);
+    } catch (error) {
+      this.logger.warn('Job hook failed', { ...jobFields(job), hook: name, error });
+    }
+  }
+  
+  // find the workflow a job belongs to
+  #workflow({ workflow: { name } }) {
+    const workflow = this.workflows[name];
+    
+    if (!workflow) {
+      throw new QueueError(`Unknown workflow '${name}'`);
+    }
+    
+    return workflow;
+  }
+  
+  // bring a job back from the morgue and give it a fresh set of attempts
+  async resurrect(id, context) {
+    // find the corpse
+    const corpse = await getCorpse(id, context);
+    
+    // nothing to resurrect
+    if (!corpse) {
+      throw new QueueError(`Corpse not found: ${id}`);
+    }
+    
+    // extract the job
+    const { topic, data, retry, retryStrategy, transport, groupId, timeout, idempotencyKey } = corpse;
+    
+    // re-enqueue the job, the attempts are reset by omission
+    const jobId = await this.enqueue(topic, data, context, { retry, retryStrategy, transport, groupId, timeout, idempotencyKey });
+    
+    // the job is alive again, so it no longer belongs in the morgue
+    await removeCorpse(id, context);
+    
+    // return the new job id
+    return jobId;
   }
 }
 
 //######### Helpers ##########
 
-function delayDuration(attempts, strategy) {
-  if (!strategy) { strategy = 'stepped'; }
+// the fields that identify a job in the logs
+function jobFields({ id, topic, attempts }) {
+  return { jobId: id, topic, attempt: attempts || 0 };
+};
+
+// the time in milliseconds reserved to retry a job that timed out
+const TIMEOUT_BUFFER = 5000;
+
+// A stand-in for AbortController, on versions of node without one (< 15).
+// The signal has the parts handlers need: aborted, reason, onabort and the
+// 'abort' event listeners.
+class Aborter {
   
-  if (strategy === 'equal') {
-    return equalBackoffDelay(attempts);
-  }
+  constructor() {
+    const emitter = new EventEmitter();
     
-  if (strategy === 'stepped') {
-    return steppedBackoffDelay(attempts);
+    this.signal = {
+      aborted: false,
+      reason: undefined,
+      onabort: null,
+      addEventListener: (type, listener) => emitter.on(type, listener),
+      removeEventListener: (type, listener) => emitter.off(type, listener)
+    };
+    
+    this.emitter = emitter;
   }
+  
+  abort(reason) {
+    const { signal, emitter } = this;
+    
+    if (signal.aborted) {
+      return;
+    }
+    
+    signal.aborted = true;
+    signal.reason = reason;
+    
+    const event = { type: 'abort', target: signal };
     
-  if (strategy === 'steppedQuick') {
-    return steppedQuickBackoffDelay(attempts);
+    if (signal.onabort) {
+      signal.onabort(event);
+    }
+    
+    emitter.emit('abort', event);
+  }
+}
+
+// run a handler, aborting it if it runs longer than the timeout
+async function runWithTimeout(handler, data, context, timeout) {
+  const controller = (typeof AbortController === 'undefined') ? new Aborter() : new AbortController();
+  
+  // provide the signal to the handler
+  const run = handler(data, { ...context, signal: controller.signal });
+  
+  // no timeout, no race
+  if (timeout === undefined) {
+    return run;
   }
-   
-  if (strategy === 'steppedLong') {
-    return steppedLongBackoffDelay(attempts);
+  
+  let timer;
+  
+  const expire = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new TimeoutError(`Job timed out after ${timeout}ms`);
+      
+      // node < 17.2 doesn't pass the reason on to the signal, so it's set
+      // before aborting, for the listeners to find
+      Object.defineProperty(controller.signal, 'reason', { value: error, configurable: true });
+      
+      reject(error);
+      controller.abort(error);
+    }, timeout);
+  });
+  
+  try {
+    return await Promise.race([ run, expire ]);
+  } finally {
+    clearTimeout(timer);
   }
+};
 
-  if (strategy === 'exponential') {
-    return exponentialBackoffDelay(attempts);
+// extract the job from an sns or sqs record
+function parseRecord(record) {
+  if (record.Sns) {
+    return JSON.parse(record.Sns.Message);
+  }
+  
+  return JSON.parse(record.body);
+};
+
+// the identifier the event source expects in a batch item failure
+function recordIdentifier(record) {
+  // sqs
+  if (record.messageId) {
+    return record.messageId;
+  }
+  
+  // kinesis
+  if (record.kinesis) {
+    return record.kinesis.sequenceNumber;
+  }
+  
+  // dynamodb streams
+  if (record.dynamodb) {
+    return record.dynamodb.SequenceNumber;
+  }
+  
+  // sns
+  if (record.Sns) {
+    return record.Sns.MessageId;
+  }
+};
+
+// the fifo group of an sqs record, if any
+function messageGroupId(record) {
+  return record.attributes && record.attributes.MessageGroupId;
+};
+
+// the strategy can be a name, or an object with a name and options
+function delayDuration(attempts, strategy, strategies, previous) {
+  if (!strategy) { strategy = 'stepped'; }
+  
+  // normalize the strategy into a name and options
+  let { name, ...opts } = (typeof strategy === 'string') ? { name: strategy } : strategy;
+  
+  // find the strategy
+  let fn = strategies[name];
+  
+  // a strategy registered as an object configures another strategy
+  if (fn && !(fn instanceof Function)) {
+    const { name: baseName, ...baseOpts } = fn;
+    opts = { ...baseOpts, ...opts };
+    fn = strategies[baseName];
   }
   
   // if it's a strategy we don't recognize, emulate max attempts reached
-  return 0;
+  if (!(fn instanceof Function)) {
+    return 0;
+  }
+  
+  return fn(attempts, { ...opts, previous });
 };
 
 function equalBackoffDelay(attempts) {
@@ -297,20 +761,187 @@ function steppedLongBackoffDelay(attempts) {
   return 0;
 };
 
-function exponentialBackoffDelay(attempts) {};
+// Exponential backoff with jitter, as described in:
+// https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/
+// 
+// opts:
+//  base: the initial delay in seconds
+//  cap: the maximum delay in seconds
+//  maxAttempts: the number of attempts before giving up
+//  jitter: 'full', 'decorrelated', or 'none'
+//  previous: the previous delay, used by decorrelated jitter
+function exponentialBackoffDelay(attempts, opts={}) {
+  const { base=1, cap=900, maxAttempts=10, jitter='full', previous } = opts;
+  
+  // max attempts reached
+  if (attempts > maxAttempts) {
+    return 0;
+  }
+  
+  let delay;
+  
+  if (jitter === 'decorrelated') {
+    // random between the base and triple the previous delay
+    const upper = (previous || base) * 3;
+    delay = Math.min(cap, base + (Math.random() * (upper - base)));
+  } else {
+    // double the delay with each attempt, up to the cap
+    delay = Math.min(cap, base * Math.pow(2, attempts - 1));
+    
+    // random between 0 and the delay
+    if (jitter === 'full') {
+      delay = Math.random() * delay;
+    }
+  }
+  
+  // the wait state needs whole seconds, and 0 would mean giving up
+  return Math.max(1, Math.ceil(delay));
+};
+
+// the built-in strategies, by name
+const RETRY_STRATEGIES = {
+  equal       : equalBackoffDelay,
+  stepped     : steppedBackoffDelay,
+  steppedQuick: steppedQuickBackoffDelay,
+  steppedLong : steppedLongBackoffDelay,
+  exponential : exponentialBackoffDelay
+};
+
+
+// ########## Idempotency ##########
+
+// SNS delivers at-least-once, so jobs enqueued with an idempotency key claim
+// the key in the database before running. The claim is a lease, so if the
+// worker dies mid-job another delivery can take over once it expires. Keys
+// are expired by the table's TTL on the 'ttl' attribute.
+
+// the lease in milliseconds when the job has no timeout (the lambda max)
+const IDEMPOTENCY_LEASE = 900000;
+
+const claimKey = key => ({ pk: `idempotency#${key}`, sk: 'job' });
+
+// returns true if the key was claimed, false if it's running or completed
+async function claimJob({ topic, idempotencyKey }, timeout, ttl, { db }) {
+  const now = unixNow();
+  
+  try {
+    await db.put({
+      ...claimKey(idempotencyKey),
+      topic,
+      status: 'running',
+      leaseExpiresAt: now + (timeout || IDEMPOTENCY_LEASE),
+      ttl: Math.floor(now / 1000) + ttl
+    }, {
+      ConditionExpression: 'attribute_not_exists(#pk) or (#status = :running and #leaseExpiresAt < :now)',
+      ExpressionAttributeNames: {
+        '#pk': 'pk',
+        '#status': 'status',
+        '#leaseExpiresAt': 'leaseExpiresAt'
+      },
+      ExpressionAttributeValues: {
+        ':running': 'running',
+        ':now': now
+      }
+    });
+  } catch (error) {
+    // someone else has the key
+    if (error instanceof ConditionError) {
+      return false;
+    }
+    
+    throw error;
+  }
+  
+  return true;
+};
+
+function completeJob({ idempotencyKey }, result, ttl, { db }) {
+  const now = unixNow();
+  
+  return db.update({
+    Key: claimKey(idempotencyKey),
+    UpdateExpression: 'set #status = :completed, #result = :result, #completedAt = :now, #ttl = :ttl',
+    ExpressionAttributeNames: {
+      '#status': 'status',
+      '#result': 'result',
+      '#completedAt': 'completedAt',
+      '#ttl': 'ttl'
+    },
+    ExpressionAttributeValues: {
+      ':completed': 'completed',
+      ':result': (result === undefined) ? null : result,
+      ':now': now,
+      ':ttl': Math.floor(now / 1000) + ttl
+    }
+  });
+};
 
+function releaseJob({ idempotencyKey }, { db }) {
+  return db.delete(claimKey(idempotencyKey));
+};
 
 // ########## The Morgue ##########
 
-function allCorpses(filter, { db }) {};
+// Jobs that have exhausted their attempts are stored in the database so
+// they can be inspected, and either removed or resurrected later. The sort
+// key leads with the time of death so the morgue is naturally ordered.
+
+const MORGUE_PK = 'root#morgue';
 
-function getCorpse(id, { db }) {};
+const corpseKey = id => ({ pk: MORGUE_PK, sk: `corpse-${id}` });
 
-function addCorpse({ topic, data, attempts, errors, retry }, { db }) {
-  console.error(`Job sent to the morgue :(`)
-  console.error(`Topic    : ${topic}`)
-  console.error(`Data     : ${JSON.stringify(data)}`)
-  console.error(`Attempts : ${attempts}`)
+// strip the storage keys from a corpse
+const toCorpse = function(item) {
+  if (!item) {
+    return item;
+  }
+  
+  const { pk, sk, ...corpse } = item;
+  
+  return corpse;
+};
+
+function allCorpses(filter={}, { db }) {
+  // extract the filter
+  const { topic, limit, cursor, reverse } = filter;
+  
+  // narrow down to a single topic if requested
+  const condition = topic ? where.eq('topic', topic) : undefined;
+  
+  // the newest corpses are usually the interesting ones
+  return db.query(MORGUE_PK, 'corpse-', { limit, cursor, filter: condition, reverse: !reverse }, toCorpse);
+};
+
+function getCorpse(id, { db }) {
+  return db.get(corpseKey(id), toCorpse);
+};
+
+async function addCorpse({ topic, data, attempts, errors, retry, retryStrategy, transport, groupId, timeout, idempotencyKey }, { db }) {
+  // generate an id that sorts by the time of death
+  const createdAt = unixNow();
+  const id = `${createdAt}-${randomId()}`;
+  
+  // persist the corpse
+  await db.put({
+    ...corpseKey(id),
+    id,
+    topic,
+    data,
+    attempts,
+    errors: errors || [],
+    retry: !!retry,
+    retryStrategy,
+    transport,
+    groupId,
+    timeout,
+    idempotencyKey,
+    createdAt
+  });
+  
+  // return the id of the corpse
+  return id;
 }
 
-function removeCorpse(id, { db }) {};
+function removeCorpse(id, { db }) {
+  return db.delete(corpseKey(id));
+};
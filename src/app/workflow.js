@@ -0,0 +1,237 @@
+import { ConditionError,
+         QueueError }         from '../errors';
+import { randomId, unixNow }  from '../util';
+
+// A workflow runs a list of steps on the worker, one after the other. Each
+// step is either a topic, or a list of topics to run in parallel. When the
+// last step finishes, the onComplete topic is enqueued:
+//
+//   const onboard = worker.workflow({
+//     name: 'onboard',
+//     steps: [ 'createAccount', [ 'sendWelcome', 'provisionStorage' ], 'notifySales' ],
+//     onComplete: 'onboardComplete',
+//     opts: { retry: true }
+//   });
+//
+//   const id = await onboard.start(data, context);
+//
+// Every job in the workflow receives the same data. The progress is tracked
+// in the database, so a step only moves on once all of its branches have
+// succeeded, and the next step is only enqueued once even when branches are
+// retried or delivered more than once.
+//
+// The run is moved on before the next step is enqueued, since inside a worker
+// the jobs of the next step can run inline, and they need to find the run on
+// their step. If the enqueue fails, advancing again enqueues it again, which
+// is safe since the jobs have idempotency keys. The worker advances once the
+// job's result is saved, so when advancing fails only that part is retried,
+// and the handler isn't run again. A job that fails for good, when it's out
+// of attempts or isn't retried at all, is sent to the morgue and fails the run.
+export class Workflow {
+
+  constructor({ worker, name, steps, onComplete, opts={} }) {
+    // name is required
+    if (name === undefined)
+      throw new QueueError(`Missing required workflow config 'name'`);
+
+    // there needs to be something to do
+    if (!Array.isArray(steps) || steps.length === 0)
+      throw new QueueError(`Workflow '${name}' requires at least one step`);
+
+    this.worker = worker;
+    this.name = name;
+    this.onComplete = onComplete;
+    this.opts = opts;
+
+    // normalize every step into a list of topics
+    this.steps = steps.map(step => Array.isArray(step) ? step : [ step ]);
+
+    // empty parallel groups would never finish
+    if (this.steps.some(step => step.length === 0))
+      throw new QueueError(`Workflow '${name}' has an empty step`);
+  }
+
+  // Start a run of the workflow, returning the id of the run
+  async start(data, context) {
+    const { db } = context;
+    const id = randomId();
+
+    // persist the run
+    await db.put({
+      ...runKey(id),
+      id,
+      name: this.name,
+      data,
+      step: 0,
+      status: 'running',
+      done: {},
+      createdAt: unixNow()
+    });
+
+    // kick off the first step
+    await this.#enqueueStep({ id, data }, 0, context);
+
+    return id;
+  }
+
+  // Fetch the state of a run
+  async status(id, { db }) {
+    const item = await db.get(runKey(id));
+
+    if (!item) {
+      return item;
+    }
+
+    const { name, data, step, status, done, createdAt, completedAt, failedAt } = item;
+
+    return { id, name, data, step, status, results: done, createdAt, completedAt, failedAt };
+  }
+
+  // Record a branch of a step as done, and move on to the next step once
+  // every branch of the step is done. Called by the worker after a job in
+  // this workflow succeeds.
+  async advance({ workflow: { id, step, branch } }, result, context) {
+    const { db } = context;
+
+    let run;
+
+    try {
+      // mark the branch as done, unless it already is
+      run = await db.update({
+        Key: runKey(id),
+        UpdateExpression: 'set #done.#branch = :result',
+        ConditionExpression: '#status = :running and #step = :step and attribute_not_exists(#done.#branch)',
+        ExpressionAttributeNames: {
+          '#done': 'done',
+          '#branch': branchKey(step, branch),
+          '#status': 'status',
+          '#step': 'step'
+        },
+        ExpressionAttributeValues: {
+          ':result': (result === undefined) ? null : result,
+          ':running': 'running',
+          ':step': step
+        }
+      });
+    } catch (error) {
+      if (!(error instanceof ConditionError)) {
+        throw error;
+      }
+
+      // this is a duplicate, but a previous delivery might not have made it
+      // through the join, so check where the run is at
+      run = await db.get(runKey(id));
+    }
+
+    if (!run) {
+      return;
+    }
+
+    // the run has already moved on from this step, but the enqueue that
+    // followed might have failed, so make sure it happened
+    if (run.status === 'running' && run.step === step + 1) {
+      await this.#enqueueStep(run, step + 1, context);
+      return;
+    }
+
+    if (run.status === 'completed' && run.step === step) {
+      await this.#enqueueComplete(run, context);
+      return;
+    }
+
+    // the run has moved on
+    if (run.status !== 'running' || run.step !== step) {
+      return;
+    }
+
+    // wait for the rest of the branches
+    const done = Object.keys(run.done).filter(key => key.startsWith(`${step}:`));
+
+    if (done.length < this.steps[step].length) {
+      return;
+    }
+
+    // this is the join. Only the branch that moves the run on enqueues
+    // what comes next
+    const next = step + 1;
+
+    if (next < this.steps.length) {
+      if (await moveRun(id, step, { step: next }, context)) {
+        await this.#enqueueStep(run, next, context);
+      }
+
+      return;
+    }
+
+    // that was the last step
+    if (await moveRun(id, step, { status: 'completed', completedAt: unixNow() }, context)) {
+      await this.#enqueueComplete(run, context);
+    }
+  }
+
+  // Mark a run as failed. Called by the worker when a job in this
+  // workflow is sent to the morgue.
+  async fail({ workflow: { id, step } }, context) {
+    await moveRun(id, step, { status: 'failed', failedAt: unixNow() }, context);
+  }
+
+  // enqueue the onComplete job, if there is one
+  async #enqueueComplete({ id, data }, context) {
+    if (!this.onComplete) {
+      return;
+    }
+
+    await this.worker.enqueue(this.onComplete, data, context, {
+      ...this.opts,
+      idempotencyKey: `workflow#${id}#complete`
+    });
+  }
+
+  // enqueue a job for every branch in a step
+  #enqueueStep({ id, data }, step, context) {
+    return Promise.all(this.steps[step].map((topic, branch) => {
+      return this.worker.enqueue(topic, data, context, {
+        ...this.opts,
+        workflow: { name: this.name, id, step, branch },
+        idempotencyKey: `workflow#${id}#${branchKey(step, branch)}`
+      });
+    }));
+  }
+}
+
+//######### Helpers ##########
+
+const runKey = id => ({ pk: `workflow#${id}`, sk: 'workflow' });
+
+const branchKey = (step, branch) => `${step}:${branch}`;
+
+// update a running run that is still on the step, returning false if
+// another job got there first
+async function moveRun(id, step, changes, { db }) {
+  const names = { '#status': 'status', '#step': 'step' };
+  const values = { ':running': 'running', ':current': step };
+
+  const sets = Object.keys(changes).map(key => {
+    names[`#${key}`] = key;
+    values[`:${key}`] = changes[key];
+    return `#${key} = :${key}`;
+  });
+
+  try {
+    await db.update({
+      Key: runKey(id),
+      UpdateExpression: `set ${sets.join(', ')}`,
+      ConditionExpression: '#status = :running and #step = :current',
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values
+    });
+  } catch (error) {
+    if (!(error instanceof ConditionError)) {
+      throw error;
+    }
+
+    return false;
+  }
+
+  return true;
+};
@@ -12,6 +12,33 @@ export class DatabaseError extends Error {
   }
 }
 
+// Error for dynamodb writes rejected by their condition expression
+export class ConditionError extends DatabaseError {
+  constructor(message) {
+    super(message);
+    this.name = 'ConditionError';
+  }
+}
+
+// Error for writes that conflict with a concurrent change, ie: the item was
+// modified since it was read
+export class ConflictError extends Error {
+  constructor(message) {
+    super(`ConflictError: ${message}`);
+    this.name = 'ConflictError';
+  }
+}
+
+// Error for writes that would duplicate a value that has to be unique. The
+// fields of the unique constraint are provided, ie: ['orgId', 'slug']
+export class UniqueError extends Error {
+  constructor(message, fields) {
+    super(`UniqueError: ${message}`);
+    this.name = 'UniqueError';
+    this.fields = fields;
+  }
+}
+
 // Generic error for SNS issues
 export class QueueError extends Error {
   constructor(message) {
@@ -20,11 +47,21 @@ export class QueueError extends Error {
   }
 }
 
-// Generic error for user input validation
-export class ValidationError extends Error {
+// Generic error for operations that run out of time
+export class TimeoutError extends Error {
   constructor(message) {
+    super(`TimeoutError: ${message}`);
+    this.name = 'TimeoutError';
+  }
+}
+
+// Generic error for user input validation. The problem with each field can
+// be provided, ie: { email: 'is required' }
+export class ValidationError extends Error {
+  constructor(message, fields) {
     super(`ValidationError: ${message}`);
     this.name = 'ValidationError';
+    this.fields = fields;
   }
 }
 
@@ -1,4 +1,5 @@
 export * from './errors'
+export * from './logger'
 export * from './util'
 export * from './app'
 export * from './service'
\ No newline at end of file
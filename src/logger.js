@@ -0,0 +1,66 @@
+// Logs are written as a single line of JSON so they can be queried with
+// CloudWatch Logs Insights, ie: fields topic, duration | filter level = 'error'
+//
+// Anything with the same interface (debug, info, warn, error and child) can
+// be used in place of the JsonLogger.
+
+// the levels, in order of severity
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+export class JsonLogger {
+
+  constructor({ level='info', fields={}, write } = {}) {
+    this.level = level;
+    this.fields = fields;
+
+    // by default, errors go to stderr and everything else to stdout
+    this.write = write || ((level, line) => (level === 'error') ? console.error(line) : console.log(line));
+  }
+
+  // create a logger that includes the fields in every entry
+  child(fields) {
+    return new JsonLogger({ level: this.level, fields: { ...this.fields, ...fields }, write: this.write });
+  }
+
+  debug(message, fields) {
+    return this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    return this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    return this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    return this.log('error', message, fields);
+  }
+
+  log(level, message, fields={}) {
+    // skip anything below our level
+    if (LEVELS.indexOf(level) < LEVELS.indexOf(this.level)) {
+      return;
+    }
+
+    const entry = {
+      level,
+      message,
+      timestamp: new Date().toISOString(),
+      ...this.fields,
+      ...fields
+    };
+
+    // errors don't serialize on their own
+    if (entry.error instanceof Error) {
+      const { name, message, stack } = entry.error;
+      entry.error = { name, message, stack };
+    }
+
+    this.write(level, JSON.stringify(entry));
+  }
+}
+
+// the default logger
+export const logger = new JsonLogger();
@@ -3,8 +3,23 @@ import get                      from 'lodash.get';
 import chunk                    from 'lodash.chunk';
 import isEmpty                  from 'lodash.isempty';
 import isEqual                  from 'lodash.isequal'
-import { DatabaseError }        from '../errors';
-import { fromCursor, toCursor } from '../util';
+import { DatabaseError,
+         ConditionError,
+         ConflictError,
+         UniqueError,
+         ValidationError }      from '../errors';
+import { fromCursor,
+         toCursor,
+         mapLimit,
+         unixNow }              from '../util';
+import { ExpressionBuilder,
+         applyChanges,
+         isChange,
+         parseFilter,
+         updateExpression,
+         withCondition,
+         where }                from './expression';
+import { Schema }               from './schema';
 
 // With dynamoDB, there are times that we need to insert documents into 
 // a root context. To avoid hot-key situations, we can generate a partition
@@ -34,19 +49,182 @@ export var partition = function(key, partitions) {
   return hashValue(key) % partitions;
 };
 
+// Wrap a client error, keeping failed conditions distinguishable so
+// callers can react to them
+var databaseError = function(error) {
+  if (error.code === 'ConditionalCheckFailedException') {
+    return new ConditionError(error.message);
+  }
+  
+  return new DatabaseError(error.message);
+};
+
+// the sort key range operators
+var SORT_KEY_OPERATORS = {
+  eq : '=',
+  lt : '<',
+  lte: '<=',
+  gt : '>',
+  gte: '>='
+};
+
+// Assemble the sort key part of a key condition. The sort key is either
+// a prefix, or a range condition like { between: [from, to] }
+var sortKeyCondition = function(sk, builder) {
+  // a string is a prefix
+  if (typeof sk === 'string') {
+    builder.values[':sk'] = sk;
+    return 'begins_with(#sk, :sk)';
+  }
+  
+  const [ op, ...extra ] = Object.keys(sk);
+  
+  // only a single condition is allowed on the sort key
+  if (op === undefined || extra.length > 0)
+    throw new DatabaseError(`Invalid sort key condition: ${JSON.stringify(sk)}`);
+  
+  const value = sk[op];
+  
+  if (op === 'between') {
+    return `#sk between ${builder.value(value[0])} and ${builder.value(value[1])}`;
+  }
+  
+  if (op === 'beginsWith') {
+    return `begins_with(#sk, ${builder.value(value)})`;
+  }
+  
+  if (SORT_KEY_OPERATORS[op] === undefined)
+    throw new DatabaseError(`Unknown sort key operator '${op}'`);
+  
+  return `#sk ${SORT_KEY_OPERATORS[op]} ${builder.value(value)}`;
+};
+
+// Convert a page of data into the items and a cursor for the next page
+var toPage = function(data, mapFn) {
+  // at a minimum, let's extract the items
+  const result =
+    {items: data.Items};
+  
+  // if there is more data available let's provide a cursor
+  if (data.LastEvaluatedKey) {
+    result.cursor = toCursor(data.LastEvaluatedKey);
+  }
+  
+  // if a map fn was provided, let's apply it
+  if (mapFn != null) {
+    result.items = result.items.map(mapFn);
+  }
+  
+  return result;
+};
+
+// the data of a collection item, without the keys
+var toData = function(item) {
+  if (item === undefined) {
+    return item;
+  }
+  
+  const { pk, sk, ...data } = item;
+  
+  return data;
+};
+
+// the maximum number of requests in a single batchWrite and batchGet
+var BATCH_WRITE_LIMIT = 25;
+var BATCH_GET_LIMIT = 100;
+
+// the number of times to retry unprocessed batch requests
+var BATCH_RETRIES = 8;
+
+// Wait before retrying unprocessed batch requests, with an exponential
+// backoff and jitter. Resolves false when we're out of retries
+var backoff = async function(attempts) {
+  if (attempts > BATCH_RETRIES) {
+    return false;
+  }
+  
+  const wait = Math.random() * Math.min(5000, 50 * Math.pow(2, attempts));
+  
+  await (new Promise( resolve => setTimeout(resolve, wait)));
+  
+  return true;
+};
+
+// A batch error carries the items (or keys) that failed
+var batchError = function(message, unprocessed) {
+  const error = new DatabaseError(message);
+  error.unprocessed = unprocessed;
+  return error;
+};
+
+// A cancelled transaction reports the reason for each op, in order, ie:
+// 'Transaction cancelled ... [None, ConditionalCheckFailed]'. The reasons are
+// kept on the error so callers can tell which conditions failed.
+var transactionConditionError = function(error) {
+  const error1 = new ConditionError(error.message);
+  
+  const match = error.message.match(/\[([^\]]*)\]\s*$/);
+  
+  if (match) {
+    error1.reasons = match[1].split(',').map(reason => reason.trim());
+  }
+  
+  return error1;
+};
+
+// the ways transactions over the limit can be handled
+var TRANSACT_MODES = ['strict', 'saga'];
+
+// the details of a transaction op, ie: op.Put
+var typeOpOf = op => op.Put || op.Delete || op.Update || op.ConditionCheck;
+
+// the key of the item an op writes to, if any
+var opKey = function(op) {
+  if (op.Put) {
+    const { pk, sk } = op.Put.Item;
+    return { pk, sk };
+  }
+  
+  const typeOp = op.Delete || op.Update;
+  
+  return typeOp ? typeOp.Key : undefined;
+};
+
+var keyId = key => JSON.stringify([key.pk, key.sk]);
+
+// does the key match the template, ie: 'user#{id}' matches 'user#123'
+var matchesTemplate = function(template, key) {
+  const pattern = template
+    .split(/{\w+}/)
+    .map(text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.+');
+  
+  return typeof key === 'string' && new RegExp(`^${pattern}$`).test(key);
+};
+
+// the top-level attribute of a path, ie: 'profile.tags[0]' => 'profile'
+var rootOf = path => path.split(/[.[]/)[0];
+
 // This is mostly a wrapper around the DocumentClient adapter, with some
 // helper functionality to reduce the tedium
+// 
+// opts:
+//  transactLimit: the maximum number of ops in a transaction. This was 25,
+//    but DynamoDB now allows up to 100
+//  transactMode: how to handle transactions over the limit, either 'strict'
+//    to throw, or 'saga' to write them in chunks (see transactWrite)
 export class DynamoDB {
   
-  constructor({ table, client, transactLimit=25 }) {
+  constructor({ table, client, transactLimit=25, transactMode='strict' }) {
     this.table = table;
     this.client = client;
     this.transactLimit = transactLimit;
+    this.transactMode = transactMode;
   }
     
   // Instantiate a collection wrapper with an instance of ourself injected
-  collection(keys) {
-    return new DynamoCollection({ dynamo: this, keys });
+  collection(keys, opts={}) {
+    return new DynamoCollection({ dynamo: this, keys, ...opts });
   }
 
   // Wrapper to simplify get operations and also bubble a db scoped error
@@ -75,69 +253,190 @@ export class DynamoDB {
   }
     
   // Wrapper to simplify put operations and also bubble a db scoped error
-  async put(data) {
+  async put(data, { condition, ...opts } = {}) {
     // assemble the query
-    const params = {
+    const params = withCondition({
       TableName: this.table,
-      Item: data
-    };
+      Item: data,
+      ...opts
+    }, condition);
     
     // run the query
     const result = await this.client.put(params).promise().catch(function(error) {
-      throw new DatabaseError(error.message);
+      throw databaseError(error);
     });
     
     // return the attributes
     return get(result, 'Attributes');
   }
 
-  async putBatch(items) {
-    // first, we need to make sure we're not over the transact limit
-    // 
-    // if we are, we just need to break it up into chunks
-    if (items.length > this.transactLimit) {
-      // break into chunks of our transactLimit
-      const chunks = chunk(items, this.transactLimit);
-      
-      // return the collective transactWrite
-      return Promise.all(chunks.map((part) => this.putBatch(part)));
-    }
-    
-    // assemble the query
-    items = items.map(item => ({
+  // Write the items in batches. Items that are still unprocessed after
+  // retrying (usually from throttling) are reported in the error
+  // 
+  // opts:
+  //  concurrency: the number of batches to write at a time
+  async putBatch(items, { concurrency=4 } = {}) {
+    const requests = items.map(item => ({
       PutRequest: {
         Item: item
       }
     }));
+    
+    const unprocessed = await this.#batchWrite(requests, concurrency);
+    
+    // report the items that never made it
+    if (unprocessed.length > 0) {
+      throw batchError(`Failed to put ${unprocessed.length} items`, unprocessed.map(r => r.PutRequest.Item));
+    }
+    
+    // return true
+    return true;
+  }
+
+  // Delete the items by key, in batches, like putBatch
+  async deleteBatch(keys, { concurrency=4 } = {}) {
+    const requests = keys.map(key => ({
+      DeleteRequest: {
+        Key: key
+      }
+    }));
+    
+    const unprocessed = await this.#batchWrite(requests, concurrency);
+    
+    // report the keys that never made it
+    if (unprocessed.length > 0) {
+      throw batchError(`Failed to delete ${unprocessed.length} items`, unprocessed.map(r => r.DeleteRequest.Key));
+    }
+    
+    // return true
+    return true;
+  }
+  
+  // Fetch the items by key, in batches. The items are returned in the same
+  // order as the keys, with undefined for any that don't exist
+  // 
+  // opts:
+  //  projection: a list of attribute paths to fetch, instead of the whole item
+  //  consistent: use strongly consistent reads
+  //  concurrency: the number of batches to fetch at a time
+  async getBatch(keys, { projection, consistent, concurrency=4 } = {}, mapFn) {
+    // the key attributes, to match the items back up with the keys
+    const keyNames = Object.keys(keys[0] || {});
+    const keyOf = item => JSON.stringify(keyNames.map(name => item[name]));
+    
+    // the same key can't be requested twice in a batch
+    const unique = {};
+    
+    for (const key of keys) {
+      unique[keyOf(key)] = key;
+    }
+    
+    // assemble the request for the table
+    const request = {};
+    
+    if (projection) {
+      // make sure the keys come back so we can match the items up
+      const builder = new ExpressionBuilder();
+      request.ProjectionExpression = [...keyNames, ...projection].map(path => builder.name(path)).join(', ');
+      Object.assign(request, builder.params());
+    }
+    
+    if (consistent) {
+      request.ConsistentRead = true;
+    }
+    
+    // fetch the batches
+    const found = {};
+    const unprocessed = [];
+    
+    await mapLimit(chunk(Object.values(unique), BATCH_GET_LIMIT), concurrency, async (batch) => {
+      let attempts = 0;
+      
+      while (batch.length > 0) {
+        const params = {
+          RequestItems: {
+            [this.table]: { ...request, Keys: batch }
+          }
+        };
         
-    // assemble the query
-    const params =
-      {RequestItems: {}};
+        // run the query
+        const data = await this.client.batchGet(params).promise().catch(function(error) {
+          throw new DatabaseError(error.message);
+        });
+        
+        for (const item of get(data, ['Responses', this.table], [])) {
+          found[keyOf(item)] = item;
+        }
+        
+        // retry the keys that weren't processed, with a backoff
+        batch = get(data, ['UnprocessedKeys', this.table, 'Keys'], []);
+        
+        if (batch.length > 0 && !(await backoff(++attempts))) {
+          unprocessed.push(...batch);
+          return;
+        }
+      }
+    });
     
-    // add the items to the table
-    params.RequestItems[this.table] = items;
+    // report the keys that never made it
+    if (unprocessed.length > 0) {
+      throw batchError(`Failed to get ${unprocessed.length} items`, unprocessed);
+    }
     
-    // run the query
-    await this.client.batchWrite(params).promise().catch(function(error) {
-      throw new DatabaseError(error.message);
+    // line the items back up with the keys
+    return keys.map(key => {
+      const item = found[keyOf(key)];
+      
+      return (mapFn != null) ? mapFn(item) : item;
     });
+  }
+  
+  // write the requests in batches, a few batches at a time, returning
+  // any requests that were still unprocessed after retrying
+  async #batchWrite(requests, concurrency) {
+    const unprocessed = [];
+    
+    await mapLimit(chunk(requests, BATCH_WRITE_LIMIT), concurrency, async (batch) => {
+      let attempts = 0;
       
-    // return true
-    return true;
+      while (batch.length > 0) {
+        // assemble the query
+        const params = {
+          RequestItems: {
+            [this.table]: batch
+          }
+        };
+        
+        // run the query
+        const data = await this.client.batchWrite(params).promise().catch(function(error) {
+          throw new DatabaseError(error.message);
+        });
+        
+        // retry the requests that weren't processed, with a backoff
+        batch = get(data, ['UnprocessedItems', this.table], []);
+        
+        if (batch.length > 0 && !(await backoff(++attempts))) {
+          unprocessed.push(...batch);
+          return;
+        }
+      }
+    });
+    
+    return unprocessed;
   }
 
   // Wrapper to simplify update operations and also bubble a db scoped error
-  async update(opts) {
+  async update({ condition, ...opts }) {
     // assemble the query
-    const params = {
+    const params = withCondition({
       TableName: this.table,
       ReturnValues: 'ALL_NEW',
       ...opts
-    };
+    }, condition);
     
     // run the query
     const result = await this.client.update(params).promise().catch(function(error) {
-      throw new DatabaseError(error.message);
+      throw databaseError(error);
     });
     
     // return the attributes
@@ -145,32 +444,91 @@ export class DynamoDB {
   }
 
   // Wrapper to simplify query operations and also bubble a db scoped error
-  async query(pk, sk, { limit, cursor, filters, reverse } = {}, mapFn) {
-    let params;
+  // 
+  // sk can either be a prefix for the sort key, or a range condition:
+  //  { eq }, { lt }, { lte }, { gt }, { gte }, { between: [from, to] }, { beginsWith }
+  // 
+  // opts:
+  //  index: the name of a secondary index to query
+  //  keys: the key attribute names of the index, ie: { pk: 'gsi1pk', sk: 'gsi1sk' }
+  //  projection: a list of attribute paths to fetch, instead of the whole item
+  //  consistent: use a strongly consistent read
+  //  filter: a condition to filter the items by (see where)
+  //  filters: a list of conditions, or strings like 'status = active', to AND together
+  async query(pk, sk, opts = {}, mapFn) {
+    // assemble the query
+    const params = this.#queryParams(pk, sk, opts);
+    
+    // fetch the data
+    const data = await this.client.query(params).promise().catch(function(error) {
+      throw new DatabaseError(error.message);
+    });
+    
+    return toPage(data, mapFn);
+  }
+  
+  // Iterate through every item of a query, following the pages automatically
+  // 
+  // opts: the same as query, plus
+  //  limit: the maximum number of items overall
+  //  pageSize: the number of items to fetch per request
+  // 
+  // ie: for await (const item of dynamo.queryAll(pk, sk, { limit: 500 })) { ... }
+  queryAll(pk, sk, { limit, pageSize, ...opts } = {}, mapFn) {
+    const params = this.#queryParams(pk, sk, { ...opts, limit: pageSize });
+    
+    return this.#paginate('query', params, limit, mapFn);
+  }
+  
+  // Wrapper to simplify scan operations and also bubble a db scoped error
+  // 
+  // opts:
+  //  limit, cursor, index, projection, consistent, filter: the same as query
+  //  segment, totalSegments: scan a segment of the table, for parallel scans
+  async scan(opts = {}, mapFn) {
+    // assemble the scan
+    const params = this.#scanParams(opts);
+    
+    // fetch the data
+    const data = await this.client.scan(params).promise().catch(function(error) {
+      throw new DatabaseError(error.message);
+    });
+    
+    return toPage(data, mapFn);
+  }
+  
+  // Iterate through every item of a scan, following the pages automatically
+  // 
+  // opts: the same as scan, plus limit and pageSize like queryAll
+  scanAll({ limit, pageSize, ...opts } = {}, mapFn) {
+    const params = this.#scanParams({ ...opts, limit: pageSize });
+    
+    return this.#paginate('scan', params, limit, mapFn);
+  }
+  
+  // assemble the params for a query
+  #queryParams(pk, sk, { limit, cursor, filter, filters, reverse, index, keys={}, projection, consistent }) {
+    // the key attributes, of the table or the index
+    const { pk: pkName='pk', sk: skName='sk' } = keys;
+    
+    // assemble the key condition
+    const builder = new ExpressionBuilder({ '#pk': pkName }, { ':pk': pk });
+    
+    let keyCondition = '#pk = :pk';
+    
     if (sk) {
-      params = {
-        TableName: this.table,
-        KeyConditionExpression: '#pk = :pk and begins_with(#sk, :sk)',
-        ExpressionAttributeNames: {
-          '#pk': 'pk',
-          '#sk': 'sk'
-        },
-        ExpressionAttributeValues: {
-          ':pk': pk,
-          ':sk': sk
-        }
-      };
-    } else {
-      params = {
-        TableName: this.table,
-        KeyConditionExpression: '#pk = :pk',
-        ExpressionAttributeNames: {
-          '#pk': 'pk'
-        },
-        ExpressionAttributeValues: {
-          ':pk': pk
-        }
-      };
+      builder.names['#sk'] = skName;
+      keyCondition += ` and ${sortKeyCondition(sk, builder)}`;
+    }
+    
+    const params = {
+      TableName: this.table,
+      KeyConditionExpression: keyCondition
+    };
+    
+    // query an index if provided
+    if (index) {
+      params.IndexName = index;
     }
     
     // set the limit if provided
@@ -183,76 +541,151 @@ export class DynamoDB {
       params.ExclusiveStartKey = fromCursor(cursor);
     }
     
+    // only fetch the requested attributes
+    if (projection) {
+      params.ProjectionExpression = projection.map(path => builder.name(path)).join(', ');
+    }
+    
+    // strongly consistent reads (not available on global indexes)
+    if (consistent) {
+      params.ConsistentRead = true;
+    }
+    
     // apply filters
-    if (filters) {
-      const expressions = filters.map(function(filter) {
-        // extract the pieces
-        const [ field, criteria, ...rest ] = filter.split(' ');
-        // in case the rest was split, re-join into a single value
-        let value = rest.join(' ');
-        // also, in case the value is actually a number let's cast it
-        const asNumber = Number(value);
-        if (asNumber) {
-          value = asNumber;
-        }
-        // add the attribute name
-        params.ExpressionAttributeNames[`#${field}`] = field;
-        // add the attribute value
-        params.ExpressionAttributeValues[`:${field}`] = (function() {
-          if (value === 'true') { 
-            return true;
-          }
-          if (value === 'false') {
-            return false;
-          }
-          return value;
-        })();
-        // return the expression
-        return `#${field} ${criteria} :${field}`;
-      });
-      
-      // join the expressions together
-      params.FilterExpression = expressions.join(' and ');
+    const conditions = (filters || []).map(f => (typeof f === 'string') ? parseFilter(f) : f);
+    
+    if (filter) {
+      conditions.push(filter);
+    }
+    
+    if (conditions.length > 0) {
+      // join the conditions together
+      params.FilterExpression = conditions.map(c => builder.condition(c)).join(' and ');
     }
     
+    // add the names and values
+    Object.assign(params, builder.params());
+    
     // if reverse, don't scan index forward
     if (reverse) {
       params.ScanIndexForward = false;
     }
     
-    // fetch the data
-    const data = await this.client.query(params).promise().catch(function(error) {
-      throw new DatabaseError(error.message);
-    });
+    return params;
+  }
+  
+  // assemble the params for a scan
+  #scanParams({ limit, cursor, filter, index, projection, consistent, segment, totalSegments }) {
+    const builder = new ExpressionBuilder();
+    
+    const params = {
+      TableName: this.table
+    };
     
-    // at a minimum, let's extract the items
-    const result =
-      {items: data.Items};
+    // scan an index if provided
+    if (index) {
+      params.IndexName = index;
+    }
     
-    // if there is more data available let's provide a cursor
-    if (data.LastEvaluatedKey) {
-      result.cursor = toCursor(data.LastEvaluatedKey);
+    // set the limit if provided
+    if (limit) {
+      params.Limit = limit;
     }
     
-    // if a map fn was provided, let's apply it
-    if (mapFn != null) {
-      result.items = result.items.map(mapFn);
+    // set a cursor if provided
+    if (cursor) {
+      params.ExclusiveStartKey = fromCursor(cursor);
+    }
+    
+    // only scan a segment of the table
+    if (totalSegments) {
+      params.Segment = segment;
+      params.TotalSegments = totalSegments;
+    }
+    
+    // only fetch the requested attributes
+    if (projection) {
+      params.ProjectionExpression = projection.map(path => builder.name(path)).join(', ');
+    }
+    
+    // strongly consistent reads (not available on global indexes)
+    if (consistent) {
+      params.ConsistentRead = true;
+    }
+    
+    // apply the filter
+    if (filter) {
+      params.FilterExpression = builder.condition(filter);
     }
     
-    return result;
+    // add the names and values
+    return { ...params, ...builder.params() };
+  }
+  
+  // scan the table in parallel segments, calling fn with an iterator for each
+  #scanSegments(totalSegments, opts, fn) {
+    const segments = [];
+    
+    for (let segment = 0; segment < totalSegments; segment++) {
+      segments.push(fn(this.scanAll({ ...opts, segment, totalSegments })));
+    }
+    
+    return Promise.all(segments);
+  }
+  
+  // yield the items of a query or scan page by page, until we run out of
+  // pages or reach the limit
+  async *#paginate(method, params, limit, mapFn) {
+    let count = 0;
+    
+    while (true) {
+      // fetch the page of data
+      const data = await this.client[method](params).promise().catch(function(error) {
+        throw new DatabaseError(error.message);
+      });
+      
+      for (const item of data.Items) {
+        yield (mapFn != null) ? mapFn(item) : item;
+        
+        // stop once we have enough
+        count += 1;
+        
+        if (limit && count >= limit) {
+          return;
+        }
+      }
+      
+      // no more pages
+      if (!data.LastEvaluatedKey) {
+        return;
+      }
+      
+      // continue from where we left off
+      params = { ...params, ExclusiveStartKey: data.LastEvaluatedKey };
+    }
   }
 
   // Wrapper to simplify transactWrite operations and also bubble a db scoped error
+  // 
+  // Transactions over the transactLimit can't be atomic. By default they
+  // throw, but in 'saga' mode they're written in chunks, one after the
+  // other, and the earlier chunks are undone if a later chunk fails.
+  // 
+  // opts:
+  //  mode: 'strict' or 'saga', instead of the transactMode
   async transactWrite(ops, opts = {}) {
+    const { mode=this.transactMode } = opts;
+    
+    if (!TRANSACT_MODES.includes(mode))
+      throw new DatabaseError(`Unknown transaction mode '${mode}'`);
+    
     // first, we need to make sure we're not over the transact limit
-    // 
-    // if we are, we just need to break it up into chunks
     if (ops.length > this.transactLimit) {
-      // break into chunks of our transactLimit
-      const chunks = chunk(ops, this.transactLimit);
+      if (mode === 'saga') {
+        return this.#transactSaga(ops);
+      }
       
-      // return the collective transactWrite
-      return Promise.all(chunks.map((part) => this.transactWrite(part, opts)));
+      throw new DatabaseError(`Transaction of ${ops.length} ops is over the limit of ${this.transactLimit}, and can't be atomic (see the 'saga' mode)`);
     }
     
     // assemble the base query structure
@@ -261,46 +694,22 @@ export class DynamoDB {
     
     // iterate through the ops and assemble the params
     ops.forEach(op => {
-      // handle put
-      if (op.Put) {
-        const putOp = op.Put;
-        
-        // inject the tablename if it's not present
-        if (!putOp.TableName) {
-          putOp["TableName"] = this.table;
+      for (const type of ['Put', 'Delete', 'Update', 'ConditionCheck']) {
+        if (!op[type]) {
+          continue;
         }
         
-        // add the putOp to the transactItems
-        params.TransactItems.push({
-          Put: putOp});
-      }
-      
-      // handle delete
-      if (op.Delete) {
-        const deleteOp = op.Delete;
+        // a condition can be provided instead of a raw ConditionExpression
+        const { condition, ...typeOp } = op[type];
         
         // inject the tablename if it's not present
-        if (!deleteOp.TableName) {
-          deleteOp["TableName"] = this.table;
+        if (!typeOp.TableName) {
+          typeOp["TableName"] = this.table;
         }
         
-        // add the deleteOp to the transactItems
+        // add the op to the transactItems
         params.TransactItems.push({
-          Delete: deleteOp});
-      }
-      
-      // handle update
-      if (op.Update) {
-        const updateOp = op.Update;
-        
-        // inject the tablename if it's not present
-        if (!updateOp.TableName) {
-          updateOp["TableName"] = this.table;
-        }
-        
-        // add the updateOp to the transactItems
-        return params.TransactItems.push({
-          Update: updateOp});
+          [type]: withCondition(typeOp, condition)});
       }
     });
     
@@ -324,6 +733,11 @@ export class DynamoDB {
       res = await this.client.transactWrite(params).promise()
         // if no error, we got the write
         .then(() => success = true).catch(async function(error) {
+          // a condition failed, so retrying won't help
+          if (error.message.match(/ConditionalCheckFailed/)) {
+            throw transactionConditionError(error);
+          }
+          
           if (error.message.match(/TransactionConflict/)) {
             // wait for a random time between 1 and 20 ms
             const wait = Math.floor(Math.random() * (20 + 1));
@@ -340,72 +754,127 @@ export class DynamoDB {
     return res;
   }
 
-  delete(key, opts = {}) {
-    const params = {
+  // Write the ops in chunks of the transactLimit, in order. Before each
+  // chunk, the items it writes to are read, so if a later chunk fails the
+  // items can be put back the way they were (the compensation).
+  // 
+  // This isn't isolated: other processes can see the partial writes, and
+  // anything they write to the items before a compensation is lost.
+  async #transactSaga(ops) {
+    // the items as they were before the saga, by key
+    const snapshots = new Map();
+    
+    // the keys written by the chunks that succeeded
+    const written = new Set();
+    
+    for (const part of chunk(ops, this.transactLimit)) {
+      // we can only snapshot items in our table
+      if (part.some(op => (typeOpOf(op).TableName || this.table) !== this.table))
+        throw new DatabaseError('Saga transactions can only write to the table');
+      
+      // snapshot the items we haven't seen yet
+      const keys = part.map(opKey).filter(key => key && !snapshots.has(keyId(key)));
+      
+      if (keys.length > 0) {
+        const items = await this.getBatch(keys, { consistent: true });
+        keys.forEach((key, index) => snapshots.set(keyId(key), { key, item: items[index] }));
+      }
+      
+      try {
+        await this.transactWrite(part, { mode: 'strict' });
+      } catch (error) {
+        // undo the chunks that went through, then report the failure
+        try {
+          await this.#compensate([...written].map(id => snapshots.get(id)));
+        } catch (compensationError) {
+          const failed = new DatabaseError(`Transaction failed (${error.message}) and could not be undone: ${compensationError.message}`);
+          failed.cause = error;
+          throw failed;
+        }
+        
+        throw error;
+      }
+      
+      part.map(opKey).filter(Boolean).forEach(key => written.add(keyId(key)));
+    }
+    
+    return true;
+  }
+  
+  // put the items back the way they were, removing any that didn't exist
+  async #compensate(snapshots) {
+    const puts = snapshots.filter(({ item }) => item !== undefined).map(({ item }) => item);
+    const deletes = snapshots.filter(({ item }) => item === undefined).map(({ key }) => key);
+    
+    if (puts.length > 0) {
+      await this.putBatch(puts);
+    }
+    
+    if (deletes.length > 0) {
+      await this.deleteBatch(deletes);
+    }
+  }
+
+  delete(key, { condition, ...opts } = {}) {
+    const params = withCondition({
       TableName: this.table,
-      Key: key
-    };
+      Key: key,
+      ...opts
+    }, condition);
     
     return this.client.delete(params).promise().catch(function(error) {
-      throw new DatabaseError(error.message);
+      throw databaseError(error);
     });
   }
       
-  // truncate the table (DANGEROUS)
-  async truncate() {
-    // the data comes back in pages, so we need to keep
-    // a marker to let us know that we're not at the end yet
-    let end = false;
-    
-    while (!end) {
-      const params =
-        {TableName: this.table};
-      
-      // fetch the page of data
-      const data = await this.client.scan(params).promise().catch(function(error) {
-        throw new DatabaseError(error.message);
-      });
+  // truncate the table (DANGEROUS)
+  // 
+  // opts:
+  //  segments: the number of segments to scan in parallel
+  //  concurrency: the number of delete batches to write at a time, per segment
+  async truncate({ segments=4, concurrency=4 } = {}) {
+    // delete the keys in chunks as we go, rather than holding the whole table
+    const chunkSize = BATCH_WRITE_LIMIT * concurrency;
+    
+    await this.#scanSegments(segments, { projection: ['pk', 'sk'] }, async (items) => {
+      let keys = [];
       
-      // set the state if we have more pages
-      if (!data.LastEvaluatedKey) {
-        end = true;
+      for await (const { pk, sk } of items) {
+        keys.push({ pk, sk });
+        
+        if (keys.length >= chunkSize) {
+          await this.deleteBatch(keys, { concurrency });
+          keys = [];
+        }
       }
       
-      // iterate through the items and delete them
-      for (let { pk, sk } of data.Items) {
-        await this.delete({ pk, sk });
+      // delete whatever is left over
+      if (keys.length > 0) {
+        await this.deleteBatch(keys, { concurrency });
       }
-    }
+    });
     
     return true;
   }
 
   // export the table for local seeds
-  async export() {
-    // the full list of items to export
-    const items = [];
-    
-    // the data comes back in pages, so we need to keep
-    // a marker to let us know that we're not at the end yet
-    let end = false;
-    
-    while (!end) {
-      const params =
-        {TableName: this.table};
-      
-      // fetch the page of data
-      const data = await this.client.scan(params).promise().catch(function(error) {
-        throw new DatabaseError(error.message);
-      });
+  // 
+  // opts:
+  //  segments: the number of segments to scan in parallel
+  async export({ segments=4 } = {}) {
+    // scan the segments in parallel
+    const parts = await this.#scanSegments(segments, {}, async (items) => {
+      const part = [];
       
-      // set the state if we have more pages
-      if (!data.LastEvaluatedKey) {
-        end = true;
+      for await (const item of items) {
+        part.push(item);
       }
       
-      // iterate through the items and delete them
-      data.Items.forEach(item => items.push(item));
-    }
+      return part;
+    });
+    
+    // the full list of items to export, in segment order
+    const items = [].concat(...parts);
     
     // export the results as prettified json
     return JSON.stringify(items, null, 2);
@@ -420,34 +889,14 @@ export class DynamoDB {
     return true;
   }
 
-  // assemble update opts from an object
+  // Assemble the update expression for the changes, keyed by attribute path.
+  // Besides values to set, changes can remove, increment, append and more
+  // (see change)
   updateExpression(object) {
-    // strip pk/sk if provided
-    delete object.pk;
-    delete object.sk;
-      
-    // assemble the updateOps
-    let updateExpression = '';
-    const attributeNames = {};
-    const attributeValues = {};
-      
-    for (let key in object) {
-      const val = object[key];
-      if (updateExpression === '') {
-        updateExpression = `set #${key} = :${key}`;
-      } else {
-        updateExpression += `, #${key} = :${key}`;
-      }
-        
-      attributeNames[`#${key}`] = key;
-      attributeValues[`:${key}`] = val;
-    }
+    // the keys can't be updated
+    const { pk, sk, ...changes } = object;
     
-    return {
-      UpdateExpression: updateExpression,
-      ExpressionAttributeNames: attributeNames,
-      ExpressionAttributeValues: attributeValues
-    };
+    return updateExpression(changes);
   }
 }
 
@@ -458,12 +907,100 @@ export class DynamoDB {
 // 
 // The 'collection' abstraction takes this very tedius and error-prone
 // process and makes a very simple pattern for storing objects in collections
+// 
+// Access patterns can be given a name, so the collection can be listed by them:
+// 
+//   const users = dynamo.collection([
+//     { pk: 'user#{id}', sk: 'user' },
+//     { name: 'byOrg', pk: 'org#{orgId}', sk: 'user#{createdAt}#{id}' }
+//   ]);
+// 
+//   const user = await users.get({ id });
+//   const { items, cursor } = await users.list('byOrg', { orgId }, { limit: 20 });
+// 
+// opts:
+//  version: the name of an attribute to version the items with (or true for
+//    'version'). Every write is then conditional on the version the caller
+//    read, and a ConflictError is thrown if the item changed in the meantime,
+//    or if an item being added already exists.
+//  schema: the attributes of the items (see Schema), checked on add and update
+//  timestamps: true to manage createdAt and updatedAt, or the names to use,
+//    ie: { createdAt: 'created', updatedAt: 'modified' }
+//  softDelete: true (or the name of the attribute, instead of 'deletedAt') to
+//    have remove mark the item as deleted. The item is removed from the
+//    access patterns, except for those with 'includeDeleted: true', and at
+//    least one of them needs it
+//  ttl: the number of seconds until an item expires, or { attribute, duration }
+//    when the table's ttl attribute isn't 'ttl'
+//  unique: the fields that have to be unique, ie: ['email', ['orgId', 'slug']].
+//    A guard item (ie: pk 'unique#email#jane@example.com') is reserved for each
+//    value, in the same transaction as the write, and a UniqueError is thrown
+//    if it's taken. Guards are named by their fields, so collections sharing
+//    a table need to name them apart, ie: { name: 'userEmail', fields: ['email'] }.
+//    Items missing any of the fields aren't constrained, and deleted items
+//    release their values.
+//  counters: counts of the items, kept up to date in the same transaction as
+//    the writes, ie: { name: 'members', pk: 'team#{teamId}', sk: 'count#members' }.
+//    A counter can have a 'when' to only count some of the items, and an
+//    'attribute' to keep the count in, instead of 'count'. Deleted items
+//    aren't counted.
 export class DynamoCollection {
 
-  constructor({ dynamo, keys }) {
+  constructor({ dynamo, keys, version, schema, timestamps, softDelete, ttl, unique=[], counters=[] }) {
     // dynamo is our connection to the db
     this.dynamo = dynamo;
 
+    // the version attribute, if versioning is enabled
+    this.version = (version === true) ? 'version' : version;
+
+    // the schema, if the items are validated
+    if (schema !== undefined)
+      this.schema = (schema instanceof Schema) ? schema : new Schema(schema);
+
+    // the timestamp attributes, if they're managed
+    if (timestamps)
+      this.timestamps = { createdAt: 'createdAt', updatedAt: 'updatedAt', ...((timestamps === true) ? {} : timestamps) };
+
+    // the deleted attribute, if removing only marks the item as deleted
+    this.softDelete = (softDelete === true) ? 'deletedAt' : softDelete;
+
+    // the ttl attribute and how long until items expire
+    if (ttl !== undefined) {
+      this.ttl = (typeof ttl === 'number') ? { attribute: 'ttl', duration: ttl } : { attribute: 'ttl', ...ttl };
+
+      if (typeof this.ttl.duration !== 'number' || this.ttl.duration <= 0)
+        throw new DatabaseError(`Collection config 'ttl' requires a positive duration`);
+    }
+
+    // the unique constraints, with the fields and the name of their guards
+    this.unique = unique.map(constraint => {
+      if (typeof constraint === 'string')
+        constraint = [ constraint ];
+
+      const { name, fields } = Array.isArray(constraint) ? { fields: constraint } : constraint;
+
+      if (!Array.isArray(fields) || fields.length === 0)
+        throw new DatabaseError(`Unique constraint requires at least one field: ${JSON.stringify(constraint)}`);
+
+      return { name: name || fields.join('#'), fields };
+    });
+
+    // the counters, validated like the access patterns
+    this.counters = counters.map(counter => {
+      const { name, pk, sk, when, attribute='count', ...extra } = counter;
+
+      if (!isEmpty(extra))
+        throw new DatabaseError(`Unknown counter config: ${JSON.stringify(extra)}`);
+
+      if (pk === undefined || sk === undefined)
+        throw new DatabaseError(`Counter config requires 'pk' and 'sk'`);
+
+      if (when !== undefined && !(when instanceof Function))
+        throw new DatabaseError("Counter config 'when' must be a function");
+
+      return { name, pk, sk, when, attribute };
+    });
+
     // if access patterns aren't set, this doesn't work
     if (keys === undefined)
       throw new DatabaseError('Undefined schema');
@@ -475,7 +1012,7 @@ export class DynamoCollection {
     // validate configuration and set sensible defaults
     for (const pattern of keys) {
       // let's extract the pattern
-      let { pk, sk, fields, when, ...extra } = pattern;
+      let { name, pk, sk, fields, when, includeDeleted=false, ...extra } = pattern;
 
       // first, there shouldn't be any extra config here
       if (!isEmpty(extra))
@@ -493,26 +1030,110 @@ export class DynamoCollection {
       if (when !== undefined && !(when instanceof Function))
         throw new DatabaseError("Access pattern config 'when' must be a function");
 
+      // names need to be unique
+      if (name !== undefined && this.keys.some(key => key.name === name))
+        throw new DatabaseError(`Duplicate access pattern name '${name}'`);
+
+      // copies of the item need the attributes we manage
+      if (fields !== undefined) {
+        fields = [
+          ...fields,
+          ...[this.version, this.ttl && this.ttl.attribute].filter(Boolean),
+          ...((includeDeleted && this.softDelete) ? [this.softDelete] : [])
+        ];
+      }
+
       // if we made it through, then let's go ahead and add the access pattern
-      this.keys.push({ pk, sk, fields, when });
+      this.keys.push({ name, pk, sk, fields, when, includeDeleted });
     }
+
+    // deleted items need to be kept somewhere, or removing them loses them
+    if (this.softDelete && !this.keys.some(key => key.includeDeleted))
+      throw new DatabaseError(`Collection config 'softDelete' requires an access pattern with 'includeDeleted: true'`);
+  }
+
+  // Fetch an item from the collection by the primary (first) access pattern
+  async get(params) {
+    // the primary access pattern
+    const { pk, sk } = this.keys[0];
+
+    // the whole key is needed to fetch an item
+    const key = {
+      pk: this.#prefix(pk, params, true),
+      sk: this.#prefix(sk, params, true)
+    };
+
+    return this.dynamo.get(key, toData);
+  }
+
+  // Fetch the value of a named counter, ie: count('members', { teamId })
+  async count(name, params={}) {
+    const counter = this.counters.find(counter => counter.name === name);
+
+    if (counter === undefined)
+      throw new DatabaseError(`Unknown counter '${name}'`);
+
+    const item = await this.dynamo.get({
+      pk: this.#key(counter.pk, params),
+      sk: this.#key(counter.sk, params)
+    });
+
+    return (item && item[counter.attribute]) || 0;
+  }
+
+  // List the items in the collection by a named access pattern. The pk needs
+  // to be filled in by the params, while the sk is matched by the prefix
+  // up to the first token that isn't provided.
+  // 
+  // opts: the same as dynamo.query, ie: limit, cursor, reverse, filter
+  async list(name, params={}, opts={}) {
+    // find the access pattern
+    const pattern = this.keys.find(key => key.name === name);
+
+    if (pattern === undefined)
+      throw new DatabaseError(`Unknown access pattern '${name}'`);
+
+    // assemble the key condition
+    const pk = this.#prefix(pattern.pk, params, true);
+    const sk = this.#prefix(pattern.sk, params);
+
+    return this.dynamo.query(pk, sk, opts, toData);
   }
 
   // Add an item to the collection
-  add(data, opts={}) {
+  async add(data, opts={}) {
     // extract the opts
-    const { extraOps } = opts;
+    const { extraOps, mode } = opts;
+
+    // fill in the defaults and validate the item
+    if (this.schema)
+      data = this.schema.validate(this.schema.defaults(data));
+
+    const now = unixNow();
+
+    // set the managed attributes
+    if (this.timestamps)
+      data = { ...data, [this.timestamps.createdAt]: now, [this.timestamps.updatedAt]: now };
+
+    if (this.ttl)
+      data = { ...data, [this.ttl.attribute]: Math.floor(now / 1000) + this.ttl.duration };
 
     // create a list of ops to transact
     let ops = [];
 
+    // the ops that are checking the item doesn't exist
+    const existing = [];
+
+    // the ops that are reserving unique values
+    const guards = [];
+
     // run through the access patterns and assemble the ops
     for (const pattern of this.keys) {
       // extract the pattern config
-      const { pk, sk, fields, when } = pattern;
+      const { pk, sk, fields } = pattern;
 
-      // if when is provided, let's make sure we should add this
-      if (when !== undefined && !when(data))
+      // make sure we should add this
+      if (!this.#includes(pattern, data))
         continue;
 
       // assemble the item
@@ -530,14 +1151,27 @@ export class DynamoCollection {
         item = { ...data, ...item };
       }
 
+      // versioned items start at 1, and can't already exist
+      if (this.version) {
+        item[this.version] = 1;
+        existing.push(ops.length);
+      }
+
       // add the op
       ops.push({
         Put: {
-          Item: item
+          Item: item,
+          condition: this.version ? where.notExists('pk') : undefined
         }
       });
     }
 
+    // reserve the unique values
+    this.#guard(ops, guards, undefined, data);
+
+    // and count the item
+    this.#count(ops, undefined, data);
+
     // if extraOps are set, add those
     if (extraOps !== undefined)
       ops = [...ops, ...extraOps];
@@ -549,24 +1183,35 @@ export class DynamoCollection {
       return;
 
     // run the ops
-    return this.dynamo.transactWrite(ops);
+    return this.#transact(ops, { existing, guards }, mode);
   }
 
-  // Remove an item from the collection
-  remove(data, opts={}) {
+  // Remove an item from the collection. With softDelete, the item is only
+  // marked as deleted, unless the removal is 'hard'
+  async remove(data, opts={}) {
     // extract the opts
-    const { extraOps } = opts;
+    const { extraOps, mode, hard=false } = opts;
+
+    // mark the item as deleted instead
+    if (this.softDelete && !hard)
+      return this.update(data, { [this.softDelete]: unixNow() }, { extraOps, mode });
 
     // create a list of ops to transact
     let ops = [];
 
+    // the ops that are checking the version
+    const checked = [];
+
+    // the ops that are reserving unique values
+    const guards = [];
+
     // run through the access patterns and assemble the ops
     for (const pattern of this.keys) {
       // extract the pattern config
-      const { pk, sk, when } = pattern;
+      const { pk, sk } = pattern;
 
-      // if when is provided, no need to remove a key that doesn't exist
-      if (when !== undefined && !when(data))
+      // no need to remove a key that doesn't exist
+      if (!this.#includes(pattern, data))
         continue;
 
       // assemble the key
@@ -576,13 +1221,20 @@ export class DynamoCollection {
       };
 
       // add the op
-      ops.push({
+      ops.push(this.#checked(checked, ops, {
         Delete: {
-          Key: key
+          Key: key,
+          condition: this.#versionCondition(data)
         }
-      });
+      }));
     }
 
+    // release the unique values
+    this.#guard(ops, guards, data, undefined);
+
+    // and stop counting the item
+    this.#count(ops, data, undefined);
+
     // if extraOps are set, add those
     if (extraOps !== undefined)
       ops = [...ops, ...extraOps];
@@ -594,112 +1246,168 @@ export class DynamoCollection {
       return;
 
     // transact the ops
-    return this.dynamo.transactWrite(ops);
+    return this.#transact(ops, { checked, guards }, mode);
   }
 
-  // Update an item in the collection
-  update(data, changes, opts={}) {
+  // Update an item in the collection. The changes are keyed by attribute
+  // path, ie: 'profile.name', and can remove, increment, append and more
+  // (see change). Every copy of the item gets the same changes.
+  async update(data, changes, opts={}) {
     // extract the opts
-    const { extraOps } = opts;
+    const { extraOps, mode } = opts;
+
+    // changes are keyed by the attribute path, ie: 'profile.name'
+    changes = { ...changes };
 
     // remove the changes that aren't changes at all
-    for (const key in changes) {
-      if (isEqual(data[key], changes[key]))
-        delete changes[key];
+    for (const path in changes) {
+      if (!isChange(changes[path]) && isEqual(get(data, path), changes[path]))
+        delete changes[path];
+    }
+
+    // any change bumps the version
+    if (this.version && !isEmpty(changes))
+      changes = { ...changes, [this.version]: (data[this.version] || 0) + 1 };
+
+    // and the updated timestamp
+    if (this.timestamps && !isEmpty(changes))
+      changes = { ...changes, [this.timestamps.updatedAt]: unixNow() };
+
+    // the item as it will be
+    const next = applyChanges(data, changes);
+
+    // validate the attributes that changed
+    if (this.schema) {
+      const changed = {};
+
+      for (const path in changes) {
+        changed[rootOf(path)] = next[rootOf(path)];
+      }
+
+      this.schema.validate(changed, { partial: true });
     }
 
     // create a list of ops to transact
     let ops = [];
 
+    // the ops that are checking the version
+    const checked = [];
+
+    // the ops that are reserving unique values
+    const guards = [];
+
     // run through the access patterns and assemble the ops
     for (const pattern of this.keys) {
       // extract the pattern config
-      const { pk, sk, fields, when } = pattern;
+      const { pk, sk, fields } = pattern;
 
-      // we need to work with a new item and a previous item
-      let prev = {};
+      // we need to work with the new item, and the changes to this copy
       let curr = {};
       let currChanges = {};
 
-      // if fields are defined, pull the requested data
+      // if fields are defined, only the requested data is copied
       if (fields !== undefined) {
         for (const field of fields) {
-          prev[field] = data[field];
+          curr[field] = next[field];
+        }
 
-          if (changes[field] !== undefined) {
-            curr[field] = changes[field];
-            currChanges[field] = changes[field];
-          } else {
-            curr[field] = data[field];
-          }
+        for (const path in changes) {
+          if (fields.includes(rootOf(path)))
+            currChanges[path] = changes[path];
         }
       } else {
-        prev = data;
-        curr = { ...prev, ...changes };
+        curr = next;
         currChanges = changes;
       }
 
-      // if when was true but now false, we need a delete op
-      if (when !== undefined && (when(data) && !when({ ...data, ...changes }))) {
+      // was the item, and should the item be, stored under this access pattern?
+      const was = this.#includes(pattern, data);
+      const is = this.#includes(pattern, next);
+
+      // if it was included but now isn't, we need a delete op
+      if (was && !is) {
         // add the op
-        ops.push({
+        ops.push(this.#checked(checked, ops, {
           Delete: {
             Key: {
               pk: this.#key(pk, data),
               sk: this.#key(sk, data)
-            }
+            },
+            condition: this.#versionCondition(data)
           }
-        });
+        }));
 
         // nothing more to do
         continue;
       }
 
-      // if when is provided and false, nothing to do
-      if (when !== undefined && !when({ ...data, ...changes }))
+      // if it isn't included, nothing to do
+      if (!is)
         continue;
 
-      // assemble the previous key
+      // assemble the current key
+      const currKey = {
+        pk: this.#key(pk, next),
+        sk: this.#key(sk, next),
+      }
+      
+      // if it wasn't included but now is, the item needs to be created
+      if (!was) {
+        ops.push(this.#checked(checked, ops, {
+          Put: {
+            Item: { ...curr, ...currKey },
+            condition: this.version ? where.notExists('pk') : undefined
+          }
+        }));
+        
+        // nothing more to do
+        continue;
+      }
+      
+      // assemble the previous key, which only exists if it was included
       const prevKey = {
         pk: this.#key(pk, data),
         sk: this.#key(sk, data),
       }
       
-      // assemble the current key
-      const currKey = {
-        pk: this.#key(pk, { ...data, ...changes }),
-        sk: this.#key(sk, { ...data, ...changes }),
-      }
-      
       // has the key changed?
       if (prevKey.pk != currKey.pk || prevKey.sk != currKey.sk) {
         // need a delete op for the previous item
-        ops.push({
+        ops.push(this.#checked(checked, ops, {
           Delete: {
-            Key: prevKey
+            Key: prevKey,
+            condition: this.#versionCondition(data)
           }
-        });
+        }));
 
         // and a create op for the current
-        ops.push({
+        ops.push(this.#checked(checked, ops, {
           Put: {
-            Item: { ...curr, ...currKey }
+            Item: { ...curr, ...currKey },
+            condition: this.version ? where.notExists('pk') : undefined
           }
-        });
+        }));
       } else if (!isEmpty(currChanges)) {
         // assemble the updateExpression
         const updateFields = this.dynamo.updateExpression(currChanges);
 
         // assemble an op for updating
-        ops.push({
+        ops.push(this.#checked(checked, ops, {
           Update: {
             Key: currKey,
             ...updateFields,
+            condition: this.#versionCondition(data)
           }
-        });
+        }));
       }
     }
 
+    // move the reservations of any unique values that changed
+    this.#guard(ops, guards, data, next);
+
+    // and move the counts, if the item is now counted differently
+    this.#count(ops, data, next);
+
     // if extraOps are set, add those
     if (extraOps !== undefined)
       ops = [...ops, ...extraOps];
@@ -711,29 +1419,380 @@ export class DynamoCollection {
       return;
 
     // transact the ops
-    return this.dynamo.transactWrite(ops);
+    return this.#transact(ops, { checked, guards }, mode);
   }
 
-  #key(pattern, data) {
-    // create a key
-    let key = pattern;
+  // Repair the copies of the items, after the access patterns have changed.
+  // The items in the source access pattern are the truth, and the copies
+  // they should have are compared with the copies that exist:
+  // 
+  //  missing: copies that should exist, but don't
+  //  stale: copies with different data than the source
+  //  orphaned: copies under an access pattern that now excludes the item
+  // 
+  // The source is scanned in batches (of the items read, so a batch can come
+  // back with nothing checked), so large collections can be repaired
+  // by passing the cursor of each batch to the next, until there's no cursor.
+  // Copies under keys that are no longer generated (ie: a changed pk) can't
+  // be found from the source, and need to be cleaned up separately.
+  // 
+  // The copies are fixed with batch writes, which aren't conditional, so
+  // reconcile while the collection isn't being written to.
+  // 
+  // opts:
+  //  source: the name of the access pattern with the truth (the first by default)
+  //  dryRun: only report the problems, without fixing them
+  //  limit: the number of items to scan in a batch
+  //  cursor: the cursor of the previous batch
+  //  segment, totalSegments: reconcile a segment of the table, like scan
+  async reconcile({ source, dryRun=false, limit=100, cursor, segment, totalSegments } = {}) {
+    // find the source access pattern
+    const pattern = (source === undefined) ? this.keys[0] : this.keys.find(key => key.name === source);
+
+    if (pattern === undefined)
+      throw new DatabaseError(`Unknown access pattern '${source}'`);
+
+    // the source needs the whole item
+    if (pattern.fields !== undefined)
+      throw new DatabaseError(`Access pattern '${source}' only has some of the fields, and can't be the source`);
+
+    // narrow the scan down to the keys of the source
+    const pkPrefix = this.#prefix(pattern.pk, {});
+    const skPrefix = this.#prefix(pattern.sk, {});
+
+    if (pkPrefix === '')
+      throw new DatabaseError(`Access pattern '${source}' needs a pk that starts with text to be the source`);
+
+    const filter = (skPrefix === '')
+      ? where.beginsWith('pk', pkPrefix)
+      : where.and(where.beginsWith('pk', pkPrefix), where.beginsWith('sk', skPrefix));
+
+    const page = await this.dynamo.scan({ limit, cursor, filter, segment, totalSegments });
+
+    // work out the copies each item should, and shouldn't, have
+    const expected = [];
+
+    let checked = 0;
+
+    for (const item of page.items) {
+      // other items can share the prefix
+      if (!matchesTemplate(pattern.pk, item.pk) || !matchesTemplate(pattern.sk, item.sk))
+        continue;
+
+      const data = toData(item);
+
+      if (!this.#includes(pattern, data))
+        continue;
+
+      checked += 1;
+
+      for (const other of this.keys) {
+        if (other === pattern)
+          continue;
+
+        let key;
+
+        // the item might not have the fields for an access pattern it's excluded from
+        try {
+          key = { pk: this.#key(other.pk, data), sk: this.#key(other.sk, data) };
+        } catch (error) {
+          if (error instanceof ValidationError && !this.#includes(other, data))
+            continue;
+
+          throw error;
+        }
+
+        expected.push({ key, item: this.#includes(other, data) ? this.#copy(other, data, key) : undefined });
+      }
+    }
+
+    // compare with the copies that exist
+    const existing = (expected.length > 0) ? await this.dynamo.getBatch(expected.map(({ key }) => key), { consistent: true }) : [];
+
+    const missing = [];
+    const stale = [];
+    const orphaned = [];
+
+    expected.forEach(({ key, item }, index) => {
+      if (item && !existing[index]) {
+        missing.push(item);
+      } else if (item && !isEqual(item, existing[index])) {
+        stale.push(item);
+      } else if (!item && existing[index]) {
+        orphaned.push(key);
+      }
+    });
+
+    // fix the copies
+    if (!dryRun) {
+      if (missing.length + stale.length > 0)
+        await this.dynamo.putBatch([...missing, ...stale]);
+
+      if (orphaned.length > 0)
+        await this.dynamo.deleteBatch(orphaned);
+    }
+
+    return {
+      checked,
+      missing: missing.map(({ pk, sk }) => ({ pk, sk })),
+      stale: stale.map(({ pk, sk }) => ({ pk, sk })),
+      orphaned,
+      cursor: page.cursor
+    };
+  }
+
+  // the copy of the item stored under an access pattern
+  #copy({ fields }, data, key) {
+    if (fields === undefined)
+      return { ...data, ...key };
+
+    const item = { ...key };
+
+    for (const field of fields) {
+      if (data[field] !== undefined)
+        item[field] = data[field];
+    }
+
+    return item;
+  }
+
+  // is the item stored under the access pattern?
+  #includes({ when, includeDeleted }, data) {
+    // deleted items are dropped, unless the access pattern keeps them
+    if (this.softDelete && !includeDeleted && data[this.softDelete] != null)
+      return false;
+
+    return (when === undefined) || when(data);
+  }
+
+  // the condition that the item is still on the version the caller read
+  #versionCondition(data) {
+    if (!this.version)
+      return;
+
+    const expected = data[this.version];
+
+    // items written before versioning was enabled don't have one
+    if (expected === undefined)
+      return where.notExists(this.version);
+
+    return where.eq(this.version, expected);
+  }
+
+  // keep track of the op if it's checking the version, returning the op
+  #checked(checked, ops, op) {
+    if (this.version)
+      checked.push(ops.length);
+
+    return op;
+  }
+
+  // Add the ops to release the guards of the previous unique values, and
+  // reserve the guards of the next, for the constraints where they differ.
+  // A guard is only released by the item that owns it, so a stale copy of
+  // the item can't release a value another item has taken since, and when
+  // the primary key changes, the guards are handed over to the new key.
+  #guard(ops, guards, prev, next) {
+    for (const constraint of this.unique) {
+      const prevKey = prev && this.#guardKey(constraint, prev);
+      const nextKey = next && this.#guardKey(constraint, next);
+
+      if (prevKey && nextKey && isEqual(prevKey, nextKey)) {
+        const owner = this.#owner(prev);
+        const nextOwner = this.#owner(next);
+
+        // nothing to move
+        if (isEqual(owner, nextOwner))
+          continue;
+
+        // the value stays, but the item moved, so the guard needs the new owner
+        guards.push({ index: ops.length, constraint, release: true });
+
+        ops.push({
+          Put: {
+            Item: { ...nextKey, owner: nextOwner },
+            condition: this.#ownerCondition(owner)
+          }
+        });
+
+        continue;
+      }
+
+      if (prevKey) {
+        guards.push({ index: ops.length, constraint, release: true });
+
+        ops.push({
+          Delete: {
+            Key: prevKey,
+            condition: this.#ownerCondition(this.#owner(prev))
+          }
+        });
+      }
+
+      if (nextKey) {
+        guards.push({ index: ops.length, constraint });
 
-    // grab the tokens from the pattern
-    for (const token of pattern.matchAll(/{(\w+)}/g)) {
-      // extract the match {field}
-      const match = token[0];
+        ops.push({
+          Put: {
+            Item: { ...nextKey, owner: this.#owner(next) },
+            condition: where.notExists('pk')
+          }
+        });
+      }
+    }
+  }
+
+  // the primary key of the item, which owns its guards
+  #owner(data) {
+    return { pk: this.#key(this.keys[0].pk, data), sk: this.#key(this.keys[0].sk, data) };
+  }
+
+  // the condition that the guard is still owned by the item
+  #ownerCondition({ pk, sk }) {
+    return where.and(where.eq('owner.pk', pk), where.eq('owner.sk', sk));
+  }
+
+  // Add the ops to decrement the counters of the previous item, and increment
+  // the counters of the next, for the counters where they differ. Counters
+  // kept on the same item are changed together, since a transaction can only
+  // have one op per item
+  #count(ops, prev, next) {
+    const items = new Map();
+
+    for (const counter of this.counters) {
+      const prevKey = prev && this.#counterKey(counter, prev);
+      const nextKey = next && this.#counterKey(counter, next);
+
+      // still counted the same
+      if (prevKey && nextKey && isEqual(prevKey, nextKey))
+        continue;
+
+      for (const [ key, by ] of [ [ prevKey, -1 ], [ nextKey, 1 ] ]) {
+        if (!key)
+          continue;
+
+        const id = `${key.pk}\n${key.sk}`;
+
+        if (!items.has(id))
+          items.set(id, { key, counts: {} });
+
+        const { counts } = items.get(id);
+        counts[counter.attribute] = (counts[counter.attribute] || 0) + by;
+      }
+    }
+
+    for (const { key, counts } of items.values()) {
+      const builder = new ExpressionBuilder();
+
+      const adds = Object.keys(counts).map(attribute =>
+        `${builder.name(attribute)} ${builder.value(counts[attribute])}`);
+
+      ops.push({
+        Update: {
+          Key: key,
+          UpdateExpression: `add ${adds.join(', ')}`,
+          ...builder.params()
+        }
+      });
+    }
+  }
+
+  // the key of the counter the item counts towards, if it's counted
+  #counterKey({ pk, sk, when }, data) {
+    if (this.softDelete && data[this.softDelete] != null)
+      return;
+
+    if (when !== undefined && !when(data))
+      return;
+
+    return { pk: this.#key(pk, data), sk: this.#key(sk, data) };
+  }
+
+  // the key of the guard for the unique values, if the item has them all.
+  // Deleted items give up their values, so they can be taken again
+  #guardKey({ name, fields }, data) {
+    if (this.softDelete && data[this.softDelete] != null)
+      return;
+
+    const values = fields.map(field => data[field]);
+
+    if (values.some(value => value === undefined || value === null))
+      return;
+
+    return { pk: `unique#${name}#${values.join('#')}`, sk: 'unique' };
+  }
+
+  // transact the ops, surfacing failed version checks and items that already
+  // exist as conflicts, and taken unique values as unique errors
+  async #transact(ops, { checked=[], existing=[], guards }, mode) {
+    try {
+      return await this.dynamo.transactWrite(ops, { mode });
+    } catch (error) {
+      if (!(error instanceof ConditionError))
+        throw error;
+
+      const { reasons } = error;
+
+      // without a reason for every op (ie: it was chunked), we can only
+      // be sure it was a conflict if every op is checking the version
+      const known = reasons && reasons.length === ops.length;
+      const failed = index => known && reasons[index] === 'ConditionalCheckFailed';
+
+      // a guard that can't be released is owned by another item, so the
+      // item must have changed since it was read
+      const conflict = known
+        ? checked.some(failed) || guards.some(({ index, release }) => release && failed(index))
+        : checked.length > 0 && checked.length === ops.length;
+
+      if (conflict)
+        throw new ConflictError('Item was modified by another process');
+
+      if (existing.some(failed))
+        throw new ConflictError('Item already exists');
 
-      // extract the field
-      const field = token[1];
+      const guard = guards.find(({ index, release }) => !release && failed(index));
 
-      // grab the value from the data
-      const value = data[field];
+      if (guard) {
+        const { fields } = guard.constraint;
+        throw new UniqueError(`${fields.map(field => `'${field}'`).join(', ')} ${(fields.length > 1) ? 'are' : 'is'} already taken`, fields);
+      }
+
+      throw error;
+    }
+  }
+
+  // fill in the tokens of the pattern from the start, up until the first
+  // one that isn't provided, unless they're all required
+  #prefix(pattern, data, required=false) {
+    // split the pattern into the text and the tokens in between
+    const parts = pattern.split(/{(\w+)}/);
+
+    let prefix = '';
+
+    for (let index = 0; index < parts.length; index++) {
+      // the odd parts are the tokens
+      if (index % 2 === 0) {
+        prefix += parts[index];
+        continue;
+      }
+
+      const value = data[parts[index]];
+
+      if (value === undefined || value === null) {
+        if (required)
+          throw new ValidationError(`Missing '${parts[index]}' for key '${pattern}'`, { [parts[index]]: 'is required' });
+
+        break;
+      }
 
-      // replace the match with the value in the key
-      key = key.replace(new RegExp(match, 'g'), value);
+      prefix += value;
     }
 
-    // return the key
-    return key;
+    return prefix;
+  }
+
+  // fill in every token of the pattern, ie: 'user#{id}' => 'user#1'
+  #key(pattern, data) {
+    return this.#prefix(pattern, data, true);
   }
 }
@@ -0,0 +1,370 @@
+import { DatabaseError } from '../errors';
+
+// DynamoDB expressions need every attribute name and value swapped out for
+// a placeholder. Conditions are described as plain objects, built with the
+// helpers below, and the ExpressionBuilder turns them into an expression
+// with safe, unique placeholders:
+//
+//   const filter = where.and(
+//     where.eq('status', 'active'),
+//     where.or(where.lt('profile.age', 18), where.notExists('profile.age')),
+//     where.in('zip', ['02134', '02135'])
+//   );
+//
+// Conditions can be used for query filters, and for the condition
+// expressions on writes.
+
+// the comparison operators
+const COMPARATORS = ['=', '<>', '<', '<=', '>', '>='];
+
+const compare = op => (path, value) => ({ op, path, value });
+
+export const where = {
+  eq: compare('='),
+  ne: compare('<>'),
+  lt: compare('<'),
+  lte: compare('<='),
+  gt: compare('>'),
+  gte: compare('>='),
+  between: (path, from, to) => ({ op: 'between', path, values: [from, to] }),
+  in: (path, values) => ({ op: 'in', path, values }),
+  exists: path => ({ op: 'attribute_exists', path }),
+  notExists: path => ({ op: 'attribute_not_exists', path }),
+  type: (path, type) => ({ op: 'attribute_type', path, value: type }),
+  beginsWith: (path, value) => ({ op: 'begins_with', path, value }),
+  contains: (path, value) => ({ op: 'contains', path, value }),
+  // compare the size of an attribute, ie: where.size('tags', '>', 3)
+  size: (path, op, value) => ({ op, path, value, size: true }),
+  and: (...conditions) => ({ op: 'and', conditions }),
+  or: (...conditions) => ({ op: 'or', conditions }),
+  not: condition => ({ op: 'not', condition })
+};
+
+// Assembles expressions, keeping track of the placeholders. The builder can
+// continue from existing names and values, so expressions can be combined.
+export class ExpressionBuilder {
+
+  constructor(names={}, values={}) {
+    this.names = { ...names };
+    this.values = { ...values };
+    this.counters = { names: 0, values: 0 };
+  }
+
+  // the placeholder for an attribute path, ie: 'profile.tags[0]' => '#n0.#n1[0]'
+  name(path) {
+    return `${path}`.split('.').map(segment => {
+      const match = segment.match(/^([^[\]]+)((?:\[\d+\])*)$/);
+
+      if (!match)
+        throw new DatabaseError(`Invalid attribute path '${path}'`);
+
+      const [ , name, indexes ] = match;
+
+      return `${this.#nameFor(name)}${indexes}`;
+    }).join('.');
+  }
+
+  // a new placeholder for a value
+  value(value) {
+    let placeholder;
+
+    do {
+      placeholder = `:v${this.counters.values++}`;
+    } while (placeholder in this.values);
+
+    this.values[placeholder] = value;
+
+    return placeholder;
+  }
+
+  // assemble the expression for a condition
+  condition(condition) {
+    const { op, path, value, values, conditions, size } = condition;
+
+    switch (op) {
+      case 'and':
+      case 'or':
+        if (!conditions || conditions.length === 0)
+          throw new DatabaseError(`Condition '${op}' requires at least one condition`);
+
+        return `(${conditions.map(c => this.condition(c)).join(` ${op} `)})`;
+
+      case 'not':
+        return `(not ${this.condition(condition.condition)})`;
+
+      case 'between':
+        return `${this.#operand(path, size)} between ${this.value(values[0])} and ${this.value(values[1])}`;
+
+      case 'in':
+        if (!values || values.length === 0)
+          throw new DatabaseError(`Condition 'in' requires at least one value`);
+
+        return `${this.#operand(path, size)} in (${values.map(v => this.value(v)).join(', ')})`;
+
+      case 'attribute_exists':
+      case 'attribute_not_exists':
+        return `${op}(${this.name(path)})`;
+
+      case 'attribute_type':
+      case 'begins_with':
+      case 'contains':
+        return `${op}(${this.name(path)}, ${this.value(value)})`;
+
+      default:
+        if (!COMPARATORS.includes(op))
+          throw new DatabaseError(`Unknown condition operator '${op}'`);
+
+        return `${this.#operand(path, size)} ${op} ${this.value(value)}`;
+    }
+  }
+
+  // the names and values to include in the params, if any
+  params() {
+    const params = {};
+
+    if (Object.keys(this.names).length > 0) {
+      params.ExpressionAttributeNames = this.names;
+    }
+
+    if (Object.keys(this.values).length > 0) {
+      params.ExpressionAttributeValues = this.values;
+    }
+
+    return params;
+  }
+
+  #operand(path, size) {
+    return size ? `size(${this.name(path)})` : this.name(path);
+  }
+
+  // reuse the placeholder if the name already has one
+  #nameFor(name) {
+    for (const placeholder in this.names) {
+      if (this.names[placeholder] === name) {
+        return placeholder;
+      }
+    }
+
+    let placeholder;
+
+    do {
+      placeholder = `#n${this.counters.names++}`;
+    } while (placeholder in this.names);
+
+    this.names[placeholder] = name;
+
+    return placeholder;
+  }
+}
+
+// Add a condition to the params of a write (put, update, delete, or a
+// transact op), combining it with any condition already present
+export function withCondition(params, condition) {
+  if (!condition) {
+    return params;
+  }
+
+  const builder = new ExpressionBuilder(params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+
+  let expression = builder.condition(condition);
+
+  if (params.ConditionExpression) {
+    expression = `(${params.ConditionExpression}) and ${expression}`;
+  }
+
+  return { ...params, ConditionExpression: expression, ...builder.params() };
+}
+
+// Parse the legacy filter strings, ie: 'status = active', into a condition
+export function parseFilter(filter) {
+  // extract the pieces
+  const [ field, criteria, ...rest ] = filter.split(' ');
+
+  if (!COMPARATORS.includes(criteria))
+    throw new DatabaseError(`Invalid filter '${filter}'`);
+
+  // in case the rest was split, re-join into a single value
+  let value = rest.join(' ');
+
+  // cast booleans
+  if (value === 'true') {
+    value = true;
+  } else if (value === 'false') {
+    value = false;
+
+  // only cast numbers that survive the round trip, so '02134' stays a string
+  } else if (value !== '' && `${Number(value)}` === value) {
+    value = Number(value);
+  }
+
+  return { op: criteria, path: field, value };
+}
+
+// Changes are plain values to set, but an update can do more than that. These
+// mark the changes that need to be applied to the value in the database:
+//
+//   dynamo.updateExpression({
+//     'profile.name': 'Jane',
+//     nickname: change.remove(),
+//     logins: change.increment(),
+//     history: change.append([ event ]),
+//     tags: change.addToSet([ 'admin' ]),
+//     joinedAt: change.ifNotExists(now)
+//   });
+//
+// Setting a value to undefined removes it, like change.remove().
+const CHANGE = Symbol('change');
+
+const marker = (type, value) => ({ [CHANGE]: type, value });
+
+export const change = {
+  remove: () => marker('remove'),
+  increment: (by=1) => marker('increment', by),
+  append: values => marker('append', values),
+  prepend: values => marker('prepend', values),
+  addToSet: values => marker('addToSet', values),
+  removeFromSet: values => marker('removeFromSet', values),
+  ifNotExists: value => marker('ifNotExists', value)
+};
+
+export const isChange = value => value !== null && typeof value === 'object' && CHANGE in value;
+
+// A DynamoDB set, like the DocumentClient's createSet. Sets can't be empty
+export function createSet(values) {
+  if (!values || values.length === 0)
+    throw new DatabaseError('Sets require at least one value');
+
+  const type = Buffer.isBuffer(values[0]) ? 'Binary' : (typeof values[0] === 'number') ? 'Number' : 'String';
+
+  return { wrapperName: 'Set', type, values: [...values] };
+}
+
+// Assemble the update expression for the changes, keyed by attribute path
+export function updateExpression(changes, builder=new ExpressionBuilder()) {
+  const clauses = { set: [], remove: [], add: [], delete: [] };
+
+  for (const path in changes) {
+    const value = changes[path];
+    const name = builder.name(path);
+
+    if (!isChange(value)) {
+      if (value === undefined) {
+        clauses.remove.push(name);
+      } else {
+        clauses.set.push(`${name} = ${builder.value(value)}`);
+      }
+
+      continue;
+    }
+
+    switch (value[CHANGE]) {
+      case 'remove':
+        clauses.remove.push(name);
+        break;
+      case 'increment':
+        clauses.set.push(`${name} = if_not_exists(${name}, ${builder.value(0)}) + ${builder.value(value.value)}`);
+        break;
+      case 'append':
+        clauses.set.push(`${name} = list_append(if_not_exists(${name}, ${builder.value([])}), ${builder.value(value.value)})`);
+        break;
+      case 'prepend':
+        clauses.set.push(`${name} = list_append(${builder.value(value.value)}, if_not_exists(${name}, ${builder.value([])}))`);
+        break;
+      case 'addToSet':
+        clauses.add.push(`${name} ${builder.value(createSet(value.value))}`);
+        break;
+      case 'removeFromSet':
+        clauses.delete.push(`${name} ${builder.value(createSet(value.value))}`);
+        break;
+      case 'ifNotExists':
+        clauses.set.push(`${name} = if_not_exists(${name}, ${builder.value(value.value)})`);
+        break;
+    }
+  }
+
+  const expression = Object.keys(clauses)
+    .filter(clause => clauses[clause].length > 0)
+    .map(clause => `${clause} ${clauses[clause].join(', ')}`)
+    .join(' ');
+
+  return { UpdateExpression: expression, ...builder.params() };
+}
+
+// Apply the changes to a copy of an item, the same way the update expression
+// would, so the result of an update is known without reading it back
+export function applyChanges(item, changes) {
+  let result = item;
+
+  for (const path in changes) {
+    result = applyAt(result, pathSegments(path), current => applyChange(current, changes[path]));
+  }
+
+  return result;
+}
+
+//######### Helpers ##########
+
+// the value to remove from the item
+const REMOVED = Symbol('removed');
+
+// the names and indexes of a path, ie: 'profile.tags[0]' => ['profile', 'tags', 0]
+function pathSegments(path) {
+  return `${path}`.split('.').flatMap(segment => {
+    const match = segment.match(/^([^[\]]+)((?:\[\d+\])*)$/);
+
+    if (!match)
+      throw new DatabaseError(`Invalid attribute path '${path}'`);
+
+    const indexes = (match[2].match(/\d+/g) || []).map(Number);
+
+    return [ match[1], ...indexes ];
+  });
+}
+
+// copy the containers down the path, applying the fn to the value at the end
+function applyAt(target, [ segment, ...rest ], fn) {
+  const container = Array.isArray(target)
+    ? [ ...target ]
+    : (target === undefined && typeof segment === 'number') ? [] : { ...target };
+
+  const value = (rest.length > 0) ? applyAt(container[segment], rest, fn) : fn(container[segment]);
+
+  if (value !== REMOVED) {
+    container[segment] = value;
+  } else if (Array.isArray(container)) {
+    container.splice(segment, 1);
+  } else {
+    delete container[segment];
+  }
+
+  return container;
+}
+
+function applyChange(current, value) {
+  if (!isChange(value)) {
+    return (value === undefined) ? REMOVED : value;
+  }
+
+  const setValues = set => (set && Array.isArray(set.values)) ? set.values : [];
+
+  switch (value[CHANGE]) {
+    case 'remove':
+      return REMOVED;
+    case 'increment':
+      return (current || 0) + value.value;
+    case 'append':
+      return [ ...(current || []), ...value.value ];
+    case 'prepend':
+      return [ ...value.value, ...(current || []) ];
+    case 'addToSet': {
+      const values = setValues(current);
+      return createSet([ ...values, ...value.value.filter(v => !values.includes(v)) ]);
+    }
+    case 'removeFromSet': {
+      const values = setValues(current).filter(v => !value.value.includes(v));
+      return (values.length > 0) ? createSet(values) : REMOVED;
+    }
+    case 'ifNotExists':
+      return (current === undefined) ? value.value : current;
+  }
+}
@@ -1,3 +1,6 @@
 export * from './ably'
 export * from './algolia'
-export * from './dynamo'
\ No newline at end of file
+export * from './dynamo'
+export * from './expression'
+export * from './memory'
+export * from './schema'
\ No newline at end of file
@@ -0,0 +1,1378 @@
+import crypto                   from 'crypto';
+import isEqual                  from 'lodash.isequal';
+
+// The DynamoDB class needs a DocumentClient to talk to. The MemoryClient stands
+// in for it, keeping the tables in memory, so collections, migrations and
+// anything else built on DynamoDB can be exercised without DynamoDB Local:
+//
+//   const client = new MemoryClient({ indexes: { gsi1: { pk: 'gsi1pk', sk: 'gsi1sk' } } });
+//   const dynamo = new DynamoDB({ table: 'test', client });
+//
+// The key, condition, filter, update and projection expressions are
+// evaluated, and errors are reported with the same codes and messages as
+// DynamoDB, so the error handling can be exercised too. Tables are created
+// the first time they're used, with the same keys and indexes.
+//
+// Not emulated: the 1MB page size, capacity and throttling, and the exact
+// order of the items in a scan.
+export class MemoryClient {
+
+  constructor({ keys={ pk: 'pk', sk: 'sk' }, indexes={} } = {}) {
+    // the key attributes of the tables
+    this.keys = keys;
+
+    // the secondary indexes, by name, ie: { gsi1: { pk: 'gsi1pk', sk: 'gsi1sk' } }
+    this.indexes = indexes;
+
+    // the items in each table, by key
+    this.tables = {};
+
+    // the number of upcoming transactions to fail with a TransactionConflict
+    this.conflicts = 0;
+  }
+
+  // Fail the next transactions with a TransactionConflict, like they would if
+  // another transaction was writing to the same items at the same time
+  simulateConflicts(count=1) {
+    this.conflicts += count;
+  }
+
+  // All of the items in a table, for inspecting in tests
+  items(table) {
+    return this.#sorted(table, this.keys).map(clone);
+  }
+
+  get({ TableName, Key, ProjectionExpression, ExpressionAttributeNames, ExpressionAttributeValues }) {
+    return request(() => {
+      const context = new ExpressionContext(ExpressionAttributeNames, ExpressionAttributeValues);
+      const projection = ProjectionExpression && context.projection(ProjectionExpression);
+
+      context.checkUnused();
+
+      const item = this.#table(TableName).get(this.#keyId(Key, true));
+
+      return item ? { Item: project(item, projection) } : {};
+    });
+  }
+
+  put({ TableName, Item, ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues, ReturnValues='NONE' }) {
+    return request(() => {
+      const context = new ExpressionContext(ExpressionAttributeNames, ExpressionAttributeValues);
+      const condition = ConditionExpression && context.condition(ConditionExpression);
+
+      context.checkUnused();
+
+      const id = this.#itemId(Item);
+      const previous = this.#table(TableName).get(id);
+
+      if (condition && !condition(previous || {}))
+        throw awsError('ConditionalCheckFailedException', 'The conditional request failed');
+
+      this.#table(TableName).set(id, marshal(Item));
+
+      return (ReturnValues === 'ALL_OLD' && previous) ? { Attributes: clone(previous) } : {};
+    });
+  }
+
+  update({ TableName, Key, UpdateExpression, ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues, ReturnValues='NONE' }) {
+    return request(() => {
+      const context = new ExpressionContext(ExpressionAttributeNames, ExpressionAttributeValues);
+      const update = context.update(UpdateExpression);
+      const condition = ConditionExpression && context.condition(ConditionExpression);
+
+      context.checkUnused();
+
+      const id = this.#keyId(Key, true);
+      const previous = this.#table(TableName).get(id);
+
+      if (condition && !condition(previous || {}))
+        throw awsError('ConditionalCheckFailedException', 'The conditional request failed');
+
+      const item = this.#applyUpdate(update, previous, Key);
+
+      this.#table(TableName).set(id, item);
+
+      return returnValues(ReturnValues, previous, item, update.paths);
+    });
+  }
+
+  delete({ TableName, Key, ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues, ReturnValues='NONE' }) {
+    return request(() => {
+      const context = new ExpressionContext(ExpressionAttributeNames, ExpressionAttributeValues);
+      const condition = ConditionExpression && context.condition(ConditionExpression);
+
+      context.checkUnused();
+
+      const id = this.#keyId(Key, true);
+      const previous = this.#table(TableName).get(id);
+
+      if (condition && !condition(previous || {}))
+        throw awsError('ConditionalCheckFailedException', 'The conditional request failed');
+
+      this.#table(TableName).delete(id);
+
+      return (ReturnValues === 'ALL_OLD' && previous) ? { Attributes: clone(previous) } : {};
+    });
+  }
+
+  query(params) {
+    return request(() => {
+      const { KeyConditionExpression, ScanIndexForward=true } = params;
+
+      if (!KeyConditionExpression)
+        throw awsError('ValidationException', 'Either the KeyConditions or KeyConditionExpression parameter must be specified in the request.');
+
+      const keys = this.#indexKeys(params.IndexName);
+      const context = new ExpressionContext(params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+      const match = context.keyCondition(KeyConditionExpression, keys);
+
+      let items = this.#sorted(params.TableName, keys).filter(match);
+
+      if (!ScanIndexForward) {
+        items = items.reverse();
+      }
+
+      return this.#page(items, keys, context, params);
+    });
+  }
+
+  scan(params) {
+    return request(() => {
+      const { Segment, TotalSegments } = params;
+
+      const keys = this.#indexKeys(params.IndexName);
+      const context = new ExpressionContext(params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+
+      let items = this.#sorted(params.TableName, keys);
+
+      // split the items up into segments by the hash of their key
+      if (TotalSegments !== undefined) {
+        if (Segment === undefined || Segment < 0 || Segment >= TotalSegments)
+          throw awsError('ValidationException', 'The Segment parameter is required but was not present in the request when parameter TotalSegments is present');
+
+        items = items.filter(item => segmentOf(this.#itemId(item), TotalSegments) === Segment);
+      }
+
+      return this.#page(items, keys, context, params);
+    });
+  }
+
+  batchGet({ RequestItems }) {
+    return request(() => {
+      const Responses = {};
+
+      const count = Object.values(RequestItems).reduce((total, { Keys }) => total + Keys.length, 0);
+
+      if (count > 100)
+        throw awsError('ValidationException', 'Too many items requested for the BatchGetItem call');
+
+      for (const table in RequestItems) {
+        const { Keys, ProjectionExpression, ExpressionAttributeNames, ExpressionAttributeValues } = RequestItems[table];
+
+        const context = new ExpressionContext(ExpressionAttributeNames, ExpressionAttributeValues);
+        const projection = ProjectionExpression && context.projection(ProjectionExpression);
+
+        context.checkUnused();
+
+        const ids = Keys.map(key => this.#keyId(key, true));
+
+        if (new Set(ids).size < ids.length)
+          throw awsError('ValidationException', 'Provided list of item keys contains duplicates');
+
+        Responses[table] = ids
+          .map(id => this.#table(table).get(id))
+          .filter(item => item !== undefined)
+          .map(item => project(item, projection));
+      }
+
+      return { Responses, UnprocessedKeys: {} };
+    });
+  }
+
+  batchWrite({ RequestItems }) {
+    return request(() => {
+      const writes = [];
+
+      for (const table in RequestItems) {
+        for (const { PutRequest, DeleteRequest } of RequestItems[table]) {
+          const id = PutRequest ? this.#itemId(PutRequest.Item) : this.#keyId(DeleteRequest.Key, true);
+
+          writes.push({ table, id, item: PutRequest && PutRequest.Item });
+        }
+      }
+
+      if (writes.length > 25)
+        throw awsError('ValidationException', `1 validation error detected: Value at 'requestItems' failed to satisfy constraint: Map value must satisfy constraint: [Member must have length less than or equal to 25, Member must have length greater than or equal to 1]`);
+
+      if (new Set(writes.map(({ table, id }) => `${table}:${id}`)).size < writes.length)
+        throw awsError('ValidationException', 'Provided list of item keys contains duplicates');
+
+      for (const { table, id, item } of writes) {
+        if (item) {
+          this.#table(table).set(id, marshal(item));
+        } else {
+          this.#table(table).delete(id);
+        }
+      }
+
+      return { UnprocessedItems: {} };
+    });
+  }
+
+  // Every condition is checked before anything is written, so either all of
+  // the ops are applied, or none of them are
+  transactWrite({ TransactItems }) {
+    return request(() => {
+      if (TransactItems.length > 100)
+        throw awsError('ValidationException', `1 validation error detected: Value at 'transactItems' failed to satisfy constraint: Member must have length less than or equal to 100`);
+
+      // prepare the ops
+      const ops = TransactItems.map(op => {
+        const [ type ] = Object.keys(op);
+        const { TableName, Key, Item, UpdateExpression, ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues } = op[type];
+
+        const context = new ExpressionContext(ExpressionAttributeNames, ExpressionAttributeValues);
+        const update = (type === 'Update') ? context.update(UpdateExpression) : undefined;
+        const condition = ConditionExpression && context.condition(ConditionExpression);
+
+        context.checkUnused();
+
+        const id = (type === 'Put') ? this.#itemId(Item) : this.#keyId(Key, true);
+
+        return { type, table: TableName, id, Key, Item, update, condition };
+      });
+
+      const ids = ops.map(({ table, id }) => `${table}:${id}`);
+
+      if (new Set(ids).size < ids.length)
+        throw awsError('ValidationException', 'Transaction request cannot include multiple operations on one item');
+
+      // another transaction got to the items first
+      if (this.conflicts > 0) {
+        this.conflicts -= 1;
+        throw transactionCanceled(ops.map((op, index) => (index === 0) ? 'TransactionConflict' : 'None'));
+      }
+
+      // check the conditions against the items as they are
+      const reasons = ops.map(({ table, id, condition }) => {
+        const item = this.#table(table).get(id);
+        return (condition && !condition(item || {})) ? 'ConditionalCheckFailed' : 'None';
+      });
+
+      if (reasons.includes('ConditionalCheckFailed'))
+        throw transactionCanceled(reasons);
+
+      // assemble the writes before applying them, since an update can fail
+      const writes = ops.map(({ type, table, id, Key, Item, update }) => {
+        switch (type) {
+          case 'Put':
+            return { table, id, item: marshal(Item) };
+          case 'Update':
+            return { table, id, item: this.#applyUpdate(update, this.#table(table).get(id), Key) };
+          case 'Delete':
+            return { table, id };
+          default:
+            return undefined;
+        }
+      });
+
+      for (const write of writes) {
+        if (!write) {
+          continue;
+        }
+
+        if (write.item) {
+          this.#table(write.table).set(write.id, write.item);
+        } else {
+          this.#table(write.table).delete(write.id);
+        }
+      }
+
+      return {};
+    });
+  }
+
+  // the items of a table, created on first use
+  #table(name) {
+    if (!name)
+      throw awsError('ValidationException', `1 validation error detected: Value null at 'tableName' failed to satisfy constraint: Member must not be null`);
+
+    if (!this.tables[name]) {
+      this.tables[name] = new Map();
+    }
+
+    return this.tables[name];
+  }
+
+  // the key attributes of the table, or of an index
+  #indexKeys(index) {
+    if (index === undefined) {
+      return this.keys;
+    }
+
+    if (!this.indexes[index])
+      throw awsError('ValidationException', `The table does not have the specified index: ${index}`);
+
+    return this.indexes[index];
+  }
+
+  // the id of an item in the table, from a key
+  #keyId(key, exact=false) {
+    const names = [ this.keys.pk, this.keys.sk ].filter(Boolean);
+
+    // keys can't have other attributes
+    if (!key || (exact && Object.keys(key).length !== names.length))
+      throw awsError('ValidationException', 'The provided key element does not match the schema');
+
+    for (const name of names) {
+      const value = key[name];
+
+      if (typeof value !== 'string' && typeof value !== 'number')
+        throw awsError('ValidationException', 'The provided key element does not match the schema');
+
+      if (value === '')
+        throw awsError('ValidationException', `One or more parameter values are not valid. The AttributeValue for a key attribute cannot contain an empty string value. Key: ${name}`);
+    }
+
+    return JSON.stringify(names.map(name => key[name]));
+  }
+
+  // the id of an item in the table
+  #itemId(item) {
+    for (const name of [ this.keys.pk, this.keys.sk ].filter(Boolean)) {
+      if (!item || item[name] === undefined)
+        throw awsError('ValidationException', `One or more parameter values were invalid: Missing the key ${name} in the item`);
+    }
+
+    return this.#keyId(item);
+  }
+
+  // the items in the table, or in an index, in key order
+  #sorted(table, keys) {
+    const items = [...this.#table(table).values()]
+      // items without the index keys aren't in the index
+      .filter(item => item[keys.pk] !== undefined && (!keys.sk || item[keys.sk] !== undefined));
+
+    return items.sort((a, b) => compareKeys(this.#order(a, keys), this.#order(b, keys)));
+  }
+
+  // the values an item is ordered by, the index keys and then the table keys
+  #order(item, keys) {
+    return [ keys.pk, keys.sk, this.keys.pk, this.keys.sk ]
+      .filter(Boolean)
+      .map(name => item[name]);
+  }
+
+  // Assemble a page of query or scan results. Like DynamoDB, the limit is
+  // the number of items read, before the filter is applied
+  #page(items, keys, context, { ExclusiveStartKey, Limit, FilterExpression, ProjectionExpression, ScanIndexForward=true, Select }) {
+    const filter = FilterExpression && context.condition(FilterExpression);
+    const projection = ProjectionExpression && context.projection(ProjectionExpression);
+
+    context.checkUnused();
+
+    // start after the last key of the previous page
+    if (ExclusiveStartKey) {
+      const start = this.#order(ExclusiveStartKey, keys);
+      const after = (ScanIndexForward ? 1 : -1);
+
+      items = items.filter(item => compareKeys(this.#order(item, keys), start) * after > 0);
+    }
+
+    const read = (Limit !== undefined) ? items.slice(0, Limit) : items;
+
+    const result = {
+      Count: 0,
+      ScannedCount: read.length
+    };
+
+    const matched = filter ? read.filter(item => filter(item)) : read;
+
+    result.Count = matched.length;
+
+    if (Select !== 'COUNT') {
+      result.Items = matched.map(item => project(item, projection));
+    }
+
+    // there's more to read
+    if (read.length < items.length) {
+      const last = read[read.length - 1];
+      const names = [ this.keys.pk, this.keys.sk, keys.pk, keys.sk ].filter(Boolean);
+
+      result.LastEvaluatedKey = {};
+
+      for (const name of names) {
+        result.LastEvaluatedKey[name] = last[name];
+      }
+    }
+
+    return result;
+  }
+
+  // apply an update to an item, creating it if it didn't exist
+  #applyUpdate(update, previous, Key) {
+    const item = previous ? clone(previous) : clone(Key);
+
+    update.apply(item);
+
+    // the keys can't be changed
+    for (const name of [ this.keys.pk, this.keys.sk ].filter(Boolean)) {
+      if (!isEqual(item[name], Key[name]))
+        throw awsError('ValidationException', `One or more parameter values were invalid: Cannot update attribute ${name}. This attribute is part of the key`);
+    }
+
+    return item;
+  }
+}
+
+//######### Expressions ##########
+
+// The expressions of a request share the attribute names and values. Each
+// expression is parsed into a function, and DynamoDB rejects names and
+// values that aren't used by any of them.
+class ExpressionContext {
+
+  constructor(names={}, values={}) {
+    this.names = names;
+    this.values = values;
+    this.used = { names: new Set(), values: new Set() };
+  }
+
+  // a function that checks if an item matches the condition
+  condition(expression) {
+    const parser = new Parser(expression, this);
+    const condition = parser.condition();
+
+    parser.end();
+
+    return item => condition(item);
+  }
+
+  // A function that checks if an item matches the key condition. Only
+  // equality on the partition key, and a single condition on the sort
+  // key, are allowed
+  keyCondition(expression, keys) {
+    const parser = new Parser(expression, this);
+    const conditions = [ parser.keyCondition() ];
+
+    if (parser.accept('and')) {
+      conditions.push(parser.keyCondition());
+    }
+
+    parser.end();
+
+    const [ partition, sort ] = conditions.sort((a, b) => (a.name === keys.pk) ? -1 : (b.name === keys.pk) ? 1 : 0);
+
+    if (partition.name !== keys.pk || partition.op !== '=')
+      throw awsError('ValidationException', `Query condition missed key schema element: ${keys.pk}`);
+
+    if (sort && sort.name !== keys.sk)
+      throw awsError('ValidationException', 'Query key condition not supported');
+
+    return item => conditions.every(({ test }) => test(item));
+  }
+
+  // a function that applies the update to an item, with the paths it changes
+  update(expression) {
+    if (!expression)
+      throw awsError('ValidationException', 'Invalid UpdateExpression: The expression can not be empty;');
+
+    const parser = new Parser(expression, this);
+    const update = parser.update();
+
+    parser.end();
+
+    return update;
+  }
+
+  // the paths to project
+  projection(expression) {
+    const parser = new Parser(expression, this);
+    const paths = [ parser.path() ];
+
+    while (parser.accept(',')) {
+      paths.push(parser.path());
+    }
+
+    parser.end();
+
+    return paths;
+  }
+
+  name(placeholder) {
+    if (!(placeholder in this.names))
+      throw awsError('ValidationException', `An expression attribute name used in the document path is not defined; attribute name: ${placeholder}`);
+
+    this.used.names.add(placeholder);
+
+    return this.names[placeholder];
+  }
+
+  value(placeholder) {
+    if (!(placeholder in this.values))
+      throw awsError('ValidationException', `An expression attribute value used in expression is not defined; attribute value: ${placeholder}`);
+
+    this.used.values.add(placeholder);
+
+    return this.values[placeholder];
+  }
+
+  // DynamoDB rejects names and values that aren't used
+  checkUnused() {
+    const names = Object.keys(this.names).filter(name => !this.used.names.has(name));
+    const values = Object.keys(this.values).filter(value => !this.used.values.has(value));
+
+    if (names.length > 0)
+      throw awsError('ValidationException', `Value provided in ExpressionAttributeNames unused in expressions: keys: {${names.join(', ')}}`);
+
+    if (values.length > 0)
+      throw awsError('ValidationException', `Value provided in ExpressionAttributeValues unused in expressions: keys: {${values.join(', ')}}`);
+  }
+}
+
+// the tokens of an expression
+const TOKEN = /\s*(#[A-Za-z0-9_]+|:[A-Za-z0-9_]+|[A-Za-z_][A-Za-z0-9_]*|\d+|<>|<=|>=|[=<>(),.[\]+-])/y;
+
+const COMPARATORS = ['=', '<>', '<', '<=', '>', '>='];
+
+const FUNCTIONS = ['attribute_exists', 'attribute_not_exists', 'attribute_type', 'begins_with', 'contains'];
+
+// A recursive descent parser for the expression grammar. Conditions are
+// parsed with NOT binding tighter than AND, and AND tighter than OR.
+class Parser {
+
+  constructor(expression, context) {
+    this.expression = expression;
+    this.context = context;
+    this.tokens = tokenize(expression);
+    this.position = 0;
+  }
+
+  peek(offset=0) {
+    return this.tokens[this.position + offset];
+  }
+
+  // consume the token if it matches, ignoring case
+  accept(token) {
+    const next = this.peek();
+
+    if (next !== undefined && next.toLowerCase() === token) {
+      this.position += 1;
+      return true;
+    }
+
+    return false;
+  }
+
+  expect(token) {
+    if (!this.accept(token))
+      this.fail(this.peek());
+  }
+
+  end() {
+    if (this.peek() !== undefined)
+      this.fail(this.peek());
+  }
+
+  fail(token) {
+    const reason = (token === undefined)
+      ? 'Syntax error; token: "<EOF>", near: ""'
+      : `Syntax error; token: "${token}", near: "${this.tokens.slice(Math.max(0, this.position - 1), this.position + 2).join(' ')}"`;
+
+    throw awsError('ValidationException', `Invalid expression: ${reason}`);
+  }
+
+  //## conditions
+
+  condition() {
+    const conditions = [ this.and() ];
+
+    while (this.accept('or')) {
+      conditions.push(this.and());
+    }
+
+    return (conditions.length === 1) ? conditions[0] : item => conditions.some(condition => condition(item));
+  }
+
+  and() {
+    const conditions = [ this.not() ];
+
+    while (this.accept('and')) {
+      conditions.push(this.not());
+    }
+
+    return (conditions.length === 1) ? conditions[0] : item => conditions.every(condition => condition(item));
+  }
+
+  not() {
+    if (this.accept('not')) {
+      const condition = this.not();
+      return item => !condition(item);
+    }
+
+    return this.comparison();
+  }
+
+  comparison() {
+    // a condition in parentheses
+    if (this.accept('(')) {
+      const condition = this.condition();
+      this.expect(')');
+      return condition;
+    }
+
+    // a function
+    const token = this.peek();
+
+    if (token !== undefined && FUNCTIONS.includes(token.toLowerCase()) && this.peek(1) === '(') {
+      return this.function();
+    }
+
+    const left = this.operand();
+
+    if (this.accept('between')) {
+      const from = this.operand();
+      this.expect('and');
+      const to = this.operand();
+
+      return item => compare(left(item), from(item), '>=') && compare(left(item), to(item), '<=');
+    }
+
+    if (this.accept('in')) {
+      this.expect('(');
+
+      const values = [ this.operand() ];
+
+      while (this.accept(',')) {
+        values.push(this.operand());
+      }
+
+      this.expect(')');
+
+      return item => values.some(value => compare(left(item), value(item), '='));
+    }
+
+    const op = this.peek();
+
+    if (!COMPARATORS.includes(op))
+      this.fail(op);
+
+    this.position += 1;
+
+    const right = this.operand();
+
+    return item => compare(left(item), right(item), op);
+  }
+
+  function() {
+    const fn = this.peek().toLowerCase();
+
+    this.position += 1;
+    this.expect('(');
+
+    const path = this.path();
+
+    let operand;
+
+    if (fn !== 'attribute_exists' && fn !== 'attribute_not_exists') {
+      this.expect(',');
+      operand = this.operand();
+    }
+
+    this.expect(')');
+
+    switch (fn) {
+      case 'attribute_exists':
+        return item => resolve(item, path) !== undefined;
+      case 'attribute_not_exists':
+        return item => resolve(item, path) === undefined;
+      case 'attribute_type':
+        return item => typeOf(resolve(item, path)) === operand(item);
+      case 'begins_with':
+        return item => {
+          const value = resolve(item, path);
+          const prefix = operand(item);
+
+          return typeof value === 'string' && typeof prefix === 'string' && value.startsWith(prefix);
+        };
+      default:
+        return item => contains(resolve(item, path), operand(item));
+    }
+  }
+
+  // a value, the value at a path, or the size of the value at a path
+  operand() {
+    const token = this.peek();
+
+    if (token === undefined)
+      this.fail(token);
+
+    if (token.startsWith(':')) {
+      this.position += 1;
+      const value = this.context.value(token);
+      return () => value;
+    }
+
+    if (token.toLowerCase() === 'size' && this.peek(1) === '(') {
+      this.position += 2;
+      const path = this.path();
+      this.expect(')');
+      return item => sizeOf(resolve(item, path));
+    }
+
+    const path = this.path();
+
+    return item => resolve(item, path);
+  }
+
+  // a path like #n0.#n1[2], as a list of names and indexes
+  path() {
+    const path = [ this.name() ];
+
+    while (true) {
+      if (this.accept('.')) {
+        path.push(this.name());
+      } else if (this.accept('[')) {
+        const index = this.peek();
+
+        if (!/^\d+$/.test(index || ''))
+          this.fail(index);
+
+        this.position += 1;
+        path.push(Number(index));
+        this.expect(']');
+      } else {
+        return path;
+      }
+    }
+  }
+
+  name() {
+    const token = this.peek();
+
+    if (token === undefined || !/^[#A-Za-z_]/.test(token))
+      this.fail(token);
+
+    this.position += 1;
+
+    return token.startsWith('#') ? this.context.name(token) : token;
+  }
+
+  //## key conditions
+
+  // a single condition on a key attribute
+  keyCondition() {
+    if (this.accept('(')) {
+      const condition = this.keyCondition();
+      this.expect(')');
+      return condition;
+    }
+
+    if (this.peek() && this.peek().toLowerCase() === 'begins_with') {
+      this.position += 1;
+      this.expect('(');
+
+      const [ name ] = this.path();
+
+      this.expect(',');
+      const prefix = this.operand();
+      this.expect(')');
+
+      return {
+        name,
+        op: 'begins_with',
+        test: item => typeof item[name] === 'string' && item[name].startsWith(prefix(item))
+      };
+    }
+
+    const [ name, ...rest ] = this.path();
+
+    if (rest.length > 0)
+      throw awsError('ValidationException', 'Key condition expressions must only reference key attributes');
+
+    if (this.accept('between')) {
+      const from = this.operand();
+      this.expect('and');
+      const to = this.operand();
+
+      return { name, op: 'between', test: item => compare(item[name], from(item), '>=') && compare(item[name], to(item), '<=') };
+    }
+
+    const op = this.peek();
+
+    if (!COMPARATORS.includes(op) || op === '<>')
+      this.fail(op);
+
+    this.position += 1;
+
+    const value = this.operand();
+
+    return { name, op, test: item => compare(item[name], value(item), op) };
+  }
+
+  //## updates
+
+  // The clauses of an update. The values are all resolved against the item
+  // as it was, before any of the actions are applied.
+  update() {
+    const actions = [];
+    const seen = new Set();
+
+    while (this.peek() !== undefined) {
+      const clause = this.peek().toLowerCase();
+
+      if (seen.has(clause))
+        throw awsError('ValidationException', `Invalid UpdateExpression: The "${clause.toUpperCase()}" section can only be used once in an update expression;`);
+
+      seen.add(clause);
+      this.position += 1;
+
+      do {
+        switch (clause) {
+          case 'set': {
+            const path = this.path();
+            this.expect('=');
+            actions.push({ type: 'set', path, value: this.setValue() });
+            break;
+          }
+          case 'remove':
+            actions.push({ type: 'remove', path: this.path() });
+            break;
+          case 'add':
+          case 'delete': {
+            const path = this.path();
+            actions.push({ type: clause, path, value: this.operand() });
+            break;
+          }
+          default:
+            this.fail(clause);
+        }
+      } while (this.accept(','));
+    }
+
+    // two actions can't change the same path, or one inside another
+    const keys = actions.map(({ path }) => path.join('.'));
+
+    keys.forEach((key, index) => {
+      const other = keys.find((other, i) => i !== index && (other === key || other.startsWith(`${key}.`)));
+
+      if (other !== undefined)
+        throw awsError('ValidationException', `Invalid UpdateExpression: Two document paths overlap with each other; must remove or rewrite one of these paths; path one: [${key}], path two: [${other}]`);
+    });
+
+    return {
+      paths: actions.map(({ path }) => path[0]),
+      apply: item => applyActions(item, actions)
+    };
+  }
+
+  // the value of a set action, with an optional + or -
+  setValue() {
+    const left = this.setOperand();
+
+    for (const op of ['+', '-']) {
+      if (this.accept(op)) {
+        const right = this.setOperand();
+
+        return item => {
+          const a = left(item);
+          const b = right(item);
+
+          if (typeof a !== 'number' || typeof b !== 'number')
+            throw awsError('ValidationException', 'An operand in the update expression has an incorrect data type');
+
+          return (op === '+') ? a + b : a - b;
+        };
+      }
+    }
+
+    return left;
+  }
+
+  setOperand() {
+    const token = (this.peek() || '').toLowerCase();
+
+    if (token === 'if_not_exists' && this.peek(1) === '(') {
+      this.position += 2;
+
+      const path = this.path();
+      this.expect(',');
+      const fallback = this.setOperand();
+      this.expect(')');
+
+      return item => {
+        const value = resolve(item, path);
+        return (value === undefined) ? fallback(item) : value;
+      };
+    }
+
+    if (token === 'list_append' && this.peek(1) === '(') {
+      this.position += 2;
+
+      const first = this.setOperand();
+      this.expect(',');
+      const second = this.setOperand();
+      this.expect(')');
+
+      return item => {
+        const a = first(item);
+        const b = second(item);
+
+        if (!Array.isArray(a) || !Array.isArray(b))
+          throw awsError('ValidationException', 'An operand in the update expression has an incorrect data type');
+
+        return [ ...a, ...b ];
+      };
+    }
+
+    const operand = this.operand();
+
+    // values from the item need to exist
+    return item => {
+      const value = operand(item);
+
+      if (value === undefined)
+        throw awsError('ValidationException', 'The provided expression refers to an attribute that does not exist in the item');
+
+      return value;
+    };
+  }
+}
+
+// split an expression into tokens
+function tokenize(expression) {
+  const tokens = [];
+
+  TOKEN.lastIndex = 0;
+
+  while (TOKEN.lastIndex < expression.length) {
+    // trailing whitespace
+    if (/^\s*$/.test(expression.slice(TOKEN.lastIndex))) {
+      break;
+    }
+
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(expression);
+
+    if (!match)
+      throw awsError('ValidationException', `Invalid expression: Syntax error; token: "${expression.slice(start).trim()[0]}", near: "${expression.slice(start, start + 10).trim()}"`);
+
+    tokens.push(match[1]);
+  }
+
+  return tokens;
+}
+
+// Apply the actions of an update. The values are resolved first, so every
+// action sees the item as it was
+function applyActions(item, actions) {
+  const original = clone(item);
+
+  const resolved = actions.map(action => ({ ...action, value: action.value && action.value(original) }));
+
+  // remove list elements from the end, so the indexes don't shift
+  const indexOf = ({ path }) => (typeof path[path.length - 1] === 'number') ? path[path.length - 1] : 0;
+
+  const removes = resolved
+    .filter(({ type }) => type === 'remove')
+    .sort((a, b) => indexOf(b) - indexOf(a));
+
+  for (const { type, path, value } of [ ...resolved.filter(({ type }) => type !== 'remove'), ...removes ]) {
+    const [ parent, last ] = parentOf(item, path, type === 'remove');
+
+    if (parent === undefined) {
+      continue;
+    }
+
+    switch (type) {
+      case 'set':
+        if (Array.isArray(parent) && last >= parent.length) {
+          parent.push(clone(value));
+        } else {
+          parent[last] = clone(value);
+        }
+        break;
+
+      case 'remove':
+        if (Array.isArray(parent)) {
+          parent.splice(last, 1);
+        } else {
+          delete parent[last];
+        }
+        break;
+
+      case 'add':
+        parent[last] = addTo(parent[last], value);
+        break;
+
+      case 'delete':
+        parent[last] = deleteFrom(parent[last], value);
+
+        // empty sets aren't allowed
+        if (parent[last] === undefined) {
+          delete parent[last];
+        }
+        break;
+    }
+  }
+}
+
+// the container of the path, and the name or index in it
+function parentOf(item, path, optional) {
+  let parent = item;
+
+  for (const segment of path.slice(0, -1)) {
+    parent = (parent !== null && typeof parent === 'object') ? parent[segment] : undefined;
+
+    if (parent === undefined || parent === null || typeof parent !== 'object') {
+      // removing something that isn't there is fine
+      if (optional) {
+        return [];
+      }
+
+      throw awsError('ValidationException', 'The document path provided in the update expression is invalid for update');
+    }
+  }
+
+  return [ parent, path[path.length - 1] ];
+}
+
+function addTo(current, value) {
+  if (typeof value === 'number') {
+    if (current !== undefined && typeof current !== 'number')
+      throw awsError('ValidationException', 'An operand in the update expression has an incorrect data type');
+
+    return (current || 0) + value;
+  }
+
+  if (isSet(value)) {
+    if (current !== undefined && !isSet(current))
+      throw awsError('ValidationException', 'An operand in the update expression has an incorrect data type');
+
+    const values = current ? [ ...current.values ] : [];
+
+    for (const element of value.values) {
+      if (!values.some(existing => isEqual(existing, element))) {
+        values.push(element);
+      }
+    }
+
+    return { ...clone(value), values };
+  }
+
+  throw awsError('ValidationException', 'Invalid UpdateExpression: Incorrect operand type for operator or function; operator: ADD, operand type: ' + typeOf(value));
+}
+
+function deleteFrom(current, value) {
+  if (!isSet(value))
+    throw awsError('ValidationException', 'Invalid UpdateExpression: Incorrect operand type for operator or function; operator: DELETE, operand type: ' + typeOf(value));
+
+  if (current === undefined) {
+    return undefined;
+  }
+
+  if (!isSet(current))
+    throw awsError('ValidationException', 'An operand in the update expression has an incorrect data type');
+
+  const values = current.values.filter(element => !value.values.some(removed => isEqual(removed, element)));
+
+  return (values.length > 0) ? { ...clone(current), values } : undefined;
+}
+
+//######### Helpers ##########
+
+// emulate the aws-sdk request interface: client.op(params).promise()
+const request = fn => ({
+  promise: async () => fn()
+});
+
+// emulate the errors of the aws-sdk
+function awsError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.name = code;
+  error.statusCode = 400;
+  error.retryable = false;
+  return error;
+}
+
+// a cancelled transaction reports a reason for each op
+function transactionCanceled(reasons) {
+  return awsError('TransactionCanceledException', `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.join(', ')}]`);
+}
+
+// the attributes to return from an update
+function returnValues(type, previous, item, paths) {
+  const pick = (source, names) => {
+    const picked = {};
+
+    for (const name of names) {
+      if (source[name] !== undefined) {
+        picked[name] = clone(source[name]);
+      }
+    }
+
+    return picked;
+  };
+
+  switch (type) {
+    case 'ALL_NEW':
+      return { Attributes: clone(item) };
+    case 'ALL_OLD':
+      return previous ? { Attributes: clone(previous) } : {};
+    case 'UPDATED_NEW':
+      return { Attributes: pick(item, paths) };
+    case 'UPDATED_OLD':
+      return previous ? { Attributes: pick(previous, paths) } : {};
+    default:
+      return {};
+  }
+}
+
+// the value at a path, or undefined
+function resolve(item, path) {
+  let value = item;
+
+  for (const segment of path) {
+    if (value === undefined || value === null || typeof value !== 'object') {
+      return undefined;
+    }
+
+    // lists can only be indexed, and maps can only be named
+    if (Array.isArray(value) !== (typeof segment === 'number')) {
+      return undefined;
+    }
+
+    value = value[segment];
+  }
+
+  return value;
+}
+
+// copy just the projected paths of an item
+function project(item, paths) {
+  if (!paths) {
+    return clone(item);
+  }
+
+  const projected = {};
+
+  for (const path of paths) {
+    const value = resolve(item, path);
+
+    if (value === undefined) {
+      continue;
+    }
+
+    // rebuild the containers down to the value. Elements of lists are
+    // compacted, like DynamoDB does
+    let target = projected;
+
+    path.forEach((segment, index) => {
+      const last = index === path.length - 1;
+
+      if (last) {
+        target[segment] = clone(value);
+      } else {
+        if (target[segment] === undefined) {
+          target[segment] = (typeof path[index + 1] === 'number') ? [] : {};
+        }
+
+        target = target[segment];
+      }
+    });
+
+    compactLists(projected);
+  }
+
+  return projected;
+}
+
+function compactLists(value) {
+  if (Array.isArray(value)) {
+    for (let index = value.length - 1; index >= 0; index--) {
+      if (!(index in value)) {
+        value.splice(index, 1);
+      }
+    }
+  }
+
+  if (value !== null && typeof value === 'object' && !isSet(value)) {
+    Object.values(value).forEach(compactLists);
+  }
+}
+
+// sets from the DocumentClient are wrapped, ie: { wrapperName: 'Set', type, values }
+function isSet(value) {
+  return value !== null && typeof value === 'object' && value.wrapperName === 'Set';
+}
+
+// the DynamoDB type of a value
+function typeOf(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  if (value === null) {
+    return 'NULL';
+  }
+
+  if (isSet(value)) {
+    return { String: 'SS', Number: 'NS', Binary: 'BS' }[value.type];
+  }
+
+  if (Array.isArray(value)) {
+    return 'L';
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return 'B';
+  }
+
+  switch (typeof value) {
+    case 'string':
+      return 'S';
+    case 'number':
+      return 'N';
+    case 'boolean':
+      return 'BOOL';
+    default:
+      return 'M';
+  }
+}
+
+function sizeOf(value) {
+  if (typeof value === 'string' || Array.isArray(value) || Buffer.isBuffer(value)) {
+    return value.length;
+  }
+
+  if (isSet(value)) {
+    return value.values.length;
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return Object.keys(value).length;
+  }
+
+  return undefined;
+}
+
+function contains(value, operand) {
+  if (typeof value === 'string') {
+    return typeof operand === 'string' && value.includes(operand);
+  }
+
+  if (Array.isArray(value)) {
+    return value.some(element => isEqual(element, operand));
+  }
+
+  if (isSet(value)) {
+    return value.values.some(element => isEqual(element, operand));
+  }
+
+  return false;
+}
+
+// Compare two values. Like DynamoDB, values of different types are never
+// equal, and can't be ordered
+function compare(a, b, op) {
+  if (a === undefined || b === undefined) {
+    return op === '<>' && !(a === undefined && b === undefined);
+  }
+
+  if (op === '=') {
+    return isEqual(a, b);
+  }
+
+  if (op === '<>') {
+    return !isEqual(a, b);
+  }
+
+  // only strings and numbers can be ordered
+  if (typeof a !== typeof b || (typeof a !== 'string' && typeof a !== 'number')) {
+    return false;
+  }
+
+  switch (op) {
+    case '<':
+      return a < b;
+    case '<=':
+      return a <= b;
+    case '>':
+      return a > b;
+    default:
+      return a >= b;
+  }
+}
+
+// order lists of key values
+function compareKeys(a, b) {
+  for (let index = 0; index < a.length; index++) {
+    if (a[index] === b[index]) {
+      continue;
+    }
+
+    if (a[index] === undefined) {
+      return -1;
+    }
+
+    if (b[index] === undefined) {
+      return 1;
+    }
+
+    return (a[index] < b[index]) ? -1 : 1;
+  }
+
+  return 0;
+}
+
+// the segment of a parallel scan an item is in
+function segmentOf(id, totalSegments) {
+  const hash = crypto.createHash('sha1').update(id).digest();
+
+  return hash.readUInt32BE(0) % totalSegments;
+}
+
+// copy a value, so the stored items can't be changed from the outside
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return Buffer.from(value);
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const copy = Object.create(Object.getPrototypeOf(value));
+
+    for (const key of Object.keys(value)) {
+      copy[key] = clone(value[key]);
+    }
+
+    return copy;
+  }
+
+  return value;
+}
+
+// copy an item to store, leaving out the undefined attributes (in maps and
+// lists too), like the DocumentClient does when it marshals an item
+function marshal(value) {
+  if (Array.isArray(value)) {
+    return value.filter(item => item !== undefined).map(marshal);
+  }
+
+  if (value !== null && typeof value === 'object' && !Buffer.isBuffer(value)) {
+    const copy = Object.create(Object.getPrototypeOf(value));
+
+    for (const key of Object.keys(value)) {
+      if (value[key] !== undefined)
+        copy[key] = marshal(value[key]);
+    }
+
+    return copy;
+  }
+
+  return value;
+}
@@ -0,0 +1,105 @@
+import isEmpty                  from 'lodash.isempty';
+import { DatabaseError,
+         ValidationError }      from '../errors';
+
+// A schema describes the attributes of the items in a collection:
+//
+//   const schema = new Schema({
+//     id: { type: 'string', required: true },
+//     email: 'string',
+//     role: { type: 'string', enum: ['admin', 'member'], default: 'member' },
+//     tags: { type: 'array', default: () => [] }
+//   });
+//
+// Attributes that aren't in the schema are left alone. A default can be a
+// function, so objects and arrays aren't shared between items.
+
+// the checks for each of the types
+const TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && !Number.isNaN(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => Object.prototype.toString.call(value) === '[object Object]',
+  array: value => Array.isArray(value),
+  // sets from the DocumentClient are wrapped
+  set: value => value instanceof Set || (typeof value === 'object' && value.wrapperName === 'Set'),
+  any: () => true
+};
+
+export class Schema {
+
+  constructor(attributes={}) {
+    this.attributes = {};
+
+    for (const name in attributes) {
+      // a string is shorthand for the type
+      const attribute = (typeof attributes[name] === 'string')
+        ? { type: attributes[name] }
+        : attributes[name];
+
+      const { type='any', required=false, enum: values, default: value, ...extra } = attribute;
+
+      // there shouldn't be any extra config here
+      if (!isEmpty(extra))
+        throw new DatabaseError(`Unknown schema config for '${name}': ${JSON.stringify(extra)}`);
+
+      if (TYPES[type] === undefined)
+        throw new DatabaseError(`Unknown schema type '${type}' for '${name}'`);
+
+      if (values !== undefined && !Array.isArray(values))
+        throw new DatabaseError(`Schema config 'enum' for '${name}' must be an array`);
+
+      this.attributes[name] = { type, required, enum: values, default: value };
+    }
+  }
+
+  // Fill in the defaults for any attributes that weren't provided
+  defaults(data) {
+    const item = { ...data };
+
+    for (const name in this.attributes) {
+      const { default: value } = this.attributes[name];
+
+      if (isMissing(item[name]) && value !== undefined) {
+        item[name] = (value instanceof Function) ? value(item) : value;
+      }
+    }
+
+    return item;
+  }
+
+  // Check the attributes of an item, throwing a ValidationError with the
+  // problem for each field. When partial, only the attributes present
+  // are checked, ie: the changes of an update
+  validate(item, { partial=false } = {}) {
+    const fields = {};
+
+    for (const name in this.attributes) {
+      const { type, required, enum: values } = this.attributes[name];
+      const value = item[name];
+
+      if (isMissing(value)) {
+        if (required && (!partial || name in item)) {
+          fields[name] = 'is required';
+        }
+
+        continue;
+      }
+
+      if (!TYPES[type](value)) {
+        fields[name] = `must be a${/^[aeiou]/.test(type) ? 'n' : ''} ${type}`;
+      } else if (values !== undefined && !values.includes(value)) {
+        fields[name] = `must be one of ${values.map(v => JSON.stringify(v)).join(', ')}`;
+      }
+    }
+
+    if (!isEmpty(fields))
+      throw new ValidationError(`Invalid ${Object.keys(fields).join(', ')}`, fields);
+
+    return item;
+  }
+}
+
+//######### Helpers ##########
+
+const isMissing = value => value === undefined || value === null;
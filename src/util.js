@@ -33,11 +33,44 @@ export function randomToken() {
   return crypto.randomBytes(256).toString('base64');
 }
   
+// generate a random, url-safe identifier
+export function randomId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+  
 // generate a random, six-digit code
 export function randomCode() {
   return Math.floor(100000 + (Math.random() * 900000));
 }
   
+// Map over the items with an async fn, running at most `limit` at a time.
+// The results are returned in the same order as the items.
+export async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  
+  // the next item to start
+  let next = 0;
+  
+  // each runner keeps picking up items until there are none left
+  const runner = async function() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  
+  // start the runners
+  const runners = [];
+  
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    runners.push(runner());
+  }
+  
+  await Promise.all(runners);
+  
+  return results;
+}
+  
 // Returns an object with { added, removed, changed }
 export function collectionDifferences(a=[], b=[], key='key') {
   // detect the added